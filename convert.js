@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+// convert.js
+// Command-line batch converter: reads CSV/TSV points from a file or stdin,
+// converts their coordinates between WGS84, PSD93 geographic and PSD93 /
+// UTM 39N/40N with coordsys.js, and writes each row with the converted
+// columns appended.
+//
+//   node convert.js --from utm40 --to wgs84 points.csv > points_wgs84.csv
+//   cat points.txt | node convert.js --from wgs84 --to utm39 --x lon --y lat
+
+const fs = require("fs");
+const coordSys = require("./coordsys.js");
+const fileFormats = require("./formats.js");
+
+// Systems the converter reads and writes, converted through PSD93
+// geographic coordinates
+const SYSTEMS = {
+  wgs84: {
+    name: "WGS 84",
+    projected: false,
+    toPSD93: ({ lat, lon, h }) => {
+      const [psdLat, psdLon, psdH] = coordSys.wgs84ToPSD93(lat, lon, h);
+      return { lat: psdLat, lon: psdLon, h: psdH };
+    },
+    fromPSD93: ({ lat, lon, h }) => {
+      const [wgsLat, wgsLon, wgsH] = coordSys.psd93ToWGS84(lat, lon, h);
+      return { lat: wgsLat, lon: wgsLon, h: wgsH };
+    },
+  },
+  psd93: {
+    name: "PSD93",
+    projected: false,
+    toPSD93: (coords) => coords,
+    fromPSD93: (coords) => coords,
+  },
+};
+[39, 40].forEach((zone) => {
+  SYSTEMS[`utm${zone}`] = {
+    name: `PSD93 / UTM ${zone}N`,
+    projected: true,
+    toPSD93: ({ easting, northing, h }) => ({
+      ...coordSys.utmToPSD93(easting, northing, zone),
+      h,
+    }),
+    fromPSD93: ({ lat, lon, h }) => ({
+      ...coordSys.psd93ToUTM(lat, lon, zone),
+      h,
+    }),
+  };
+});
+
+const USAGE = `Usage: node convert.js --from <system> --to <system> [options] [file]
+
+Converts the coordinates in a CSV/TSV file (or stdin when no file or "-" is
+given) and writes every row with the converted columns appended to stdout.
+
+Systems: ${Object.keys(SYSTEMS)
+  .map((id) => `${id} (${SYSTEMS[id].name})`)
+  .join(", ")}
+
+Options:
+  --from <system>      Coordinate system of the input (required)
+  --to <system>        Coordinate system to convert to (required)
+  --x <column>         Easting column, or longitude for wgs84/psd93
+  --y <column>         Northing column, or latitude for wgs84/psd93
+  --h <column>         Ellipsoidal height column (optional)
+                       Columns are header names or 1-based numbers; by
+                       default they are guessed as in the map's CSV import
+  --delimiter <name>   comma, tab, semicolon or whitespace (default: detected)
+  --header             The first row is a header
+  --no-header          The first row is data (default: detected)
+  --decimals <n>       Decimals written (default: 3 for metres, 8 for degrees)
+  --output <file>      Write to a file instead of stdout
+  --help               Show this help`;
+
+// Read the command-line options into { options, file }
+function parseArguments(args) {
+  const options = {};
+  let file = null;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else if (arg === "--header") {
+      options.header = true;
+    } else if (arg === "--no-header") {
+      options.header = false;
+    } else if (arg.startsWith("--")) {
+      const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined) throw new Error(`Missing value for ${arg}`);
+      options[key] = value;
+    } else if (file === null) {
+      file = arg;
+    } else {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+  }
+  return { options, file };
+}
+
+// Find a column by 1-based number or header name (case-insensitive)
+function findColumn(spec, headerFields) {
+  if (/^\d+$/.test(spec)) return parseInt(spec) - 1;
+  const index = (headerFields || []).findIndex(
+    (field) => field.toLowerCase() === spec.toLowerCase()
+  );
+  if (index === -1) throw new Error(`There is no column named "${spec}"`);
+  return index;
+}
+
+// Convert one position between two systems: { easting, northing } or
+// { lat, lon } in, the same shape for the target system out
+function convertCoordinates(from, to, coords) {
+  return SYSTEMS[to].fromPSD93(SYSTEMS[from].toPSD93(coords));
+}
+
+// Convert the rows of delimited text and return the output text and the
+// rows that could not be converted ({ line, reason })
+function convertText(text, options) {
+  const { from, to } = options;
+  const delimiter = options.delimiter || fileFormats.detectDelimiter(text);
+  if (!(delimiter in fileFormats.DELIMITERS)) {
+    throw new Error(`Unknown delimiter "${delimiter}"`);
+  }
+  const rows = fileFormats.parseDelimitedText(text, delimiter);
+  const hasHeader =
+    options.header !== undefined
+      ? options.header
+      : fileFormats.detectHeader(rows);
+  const headerFields = hasHeader && rows.length > 0 ? rows[0].fields : null;
+
+  const mapping = fileFormats.guessColumnMapping(rows, hasHeader);
+  const xColumn = options.x
+    ? findColumn(options.x, headerFields)
+    : mapping.easting;
+  const yColumn = options.y
+    ? findColumn(options.y, headerFields)
+    : mapping.northing;
+  const hColumn = options.h ? findColumn(options.h, headerFields) : -1;
+  if (xColumn === -1 || yColumn === -1) {
+    throw new Error("Could not find the coordinate columns; use --x and --y");
+  }
+
+  const target = SYSTEMS[to];
+  const decimals =
+    options.decimals !== undefined
+      ? parseInt(options.decimals)
+      : target.projected
+      ? 3
+      : 8;
+  const newColumns = target.projected
+    ? [`${to}_easting`, `${to}_northing`]
+    : [`${to}_lat`, `${to}_lon`];
+  if (hColumn !== -1) newColumns.push(`${to}_h`);
+
+  const rejected = [];
+  const output = rows.map((row, index) => {
+    if (index === 0 && hasHeader) return [...row.fields, ...newColumns];
+
+    const x = row.fields[xColumn];
+    const y = row.fields[yColumn];
+    const h = hColumn !== -1 ? row.fields[hColumn] || "" : "";
+    if (
+      !fileFormats.isNumeric(x) ||
+      !fileFormats.isNumeric(y) ||
+      (h !== "" && !fileFormats.isNumeric(h))
+    ) {
+      rejected.push({ line: row.line, reason: "non-numeric coordinates" });
+      return [...row.fields, ...newColumns.map(() => "")];
+    }
+
+    const input = SYSTEMS[from].projected
+      ? { easting: Number(x), northing: Number(y), h: Number(h) || 0 }
+      : { lat: Number(y), lon: Number(x), h: Number(h) || 0 };
+    const result = convertCoordinates(from, to, input);
+    const values = target.projected
+      ? [result.easting, result.northing]
+      : [result.lat, result.lon];
+    const converted = values.map((value) => value.toFixed(decimals));
+    // Heights are only converted where the row has one
+    if (hColumn !== -1) converted.push(h !== "" ? result.h.toFixed(3) : "");
+    return [...row.fields, ...converted];
+  });
+
+  return {
+    text: fileFormats.buildDelimitedText(output, delimiter),
+    rejected,
+  };
+}
+
+// Run the converter with command-line arguments
+function main(args) {
+  const { options, file } = parseArguments(args);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  ["from", "to"].forEach((key) => {
+    if (!options[key]) throw new Error(`--${key} is required`);
+    if (!SYSTEMS[options[key]]) {
+      throw new Error(`Unknown coordinate system "${options[key]}"`);
+    }
+  });
+
+  const text = fs.readFileSync(file && file !== "-" ? file : 0, "utf8");
+  const { text: converted, rejected } = convertText(
+    text.replace(/^\ufeff/, ""),
+    options
+  );
+  if (options.output) {
+    fs.writeFileSync(options.output, converted);
+  } else {
+    process.stdout.write(converted);
+  }
+
+  rejected.forEach(({ line, reason }) =>
+    console.error(`Line ${line}: ${reason}`)
+  );
+  return 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+  }
+}
+
+// Export functions for use from other Node scripts
+module.exports = { SYSTEMS, convertCoordinates, convertText };
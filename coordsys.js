@@ -1,5 +1,14 @@
 // coordsys.js
 // Coordinate system conversion utilities for WGS84, PSD93 (EPSG:4134), and PSD93 UTM zones
+// Datums, projections and coordinate reference systems are described as data
+// in a registry; transform() converts between any two registered systems.
+
+// Reference ellipsoids
+const ellipsoids = {
+  WGS84: { name: "WGS 84", a: 6378137.0, f: 1 / 298.257223563 },
+  // Clarke 1880 (RGS)
+  CLARKE1880_RGS: { name: "Clarke 1880 (RGS)", a: 6378249.145, f: 1 / 293.465 },
+};
 
 // Helmert transformation parameters from WGS84 to PSD93 (EPSG:1439)
 // Source: https://epsg.io/1439
@@ -14,6 +23,16 @@ const helmertParams = {
   scale: 16.71006, // ppm
 };
 
+// Geodetic datums: an ellipsoid plus the Helmert parameters from WGS84 to
+// the datum (Position Vector convention, EPSG:9606). WGS84 has none.
+const datums = {
+  WGS84: { name: "WGS 84", ellipsoid: "WGS84", helmert: null },
+  PSD93: { name: "PSD93", ellipsoid: "CLARKE1880_RGS", helmert: helmertParams },
+};
+
+// Registered coordinate reference systems, keyed by id
+const crsRegistry = {};
+
 // Convert degrees to radians
 function deg2rad(deg) {
   return (deg * Math.PI) / 180;
@@ -28,11 +47,18 @@ function arcsec2rad(sec) {
   return (sec * (Math.PI / 180)) / 3600;
 }
 
-// Convert geodetic to cartesian (ECEF)
-function geodeticToECEF(lat, lon, h, a, f) {
+// Constants of an ellipsoid used by the conversions below
+function ellipsoidConstants({ a, f }) {
+  const e2 = 2 * f - f * f;
+  return { a, f, e2, ep2: e2 / (1 - e2) };
+}
+
+// Convert geodetic to cartesian (ECEF) on an ellipsoid (see
+// ellipsoidConstants)
+function geodeticToECEF(lat, lon, h, ellipsoid) {
+  const { a, e2 } = ellipsoid;
   lat = deg2rad(lat);
   lon = deg2rad(lon);
-  const e2 = 2 * f - f * f;
   const N = a / Math.sqrt(1 - e2 * Math.sin(lat) * Math.sin(lat));
   const X = (N + h) * Math.cos(lat) * Math.cos(lon);
   const Y = (N + h) * Math.cos(lat) * Math.sin(lon);
@@ -40,11 +66,11 @@ function geodeticToECEF(lat, lon, h, a, f) {
   return [X, Y, Z];
 }
 
-// Convert cartesian (ECEF) to geodetic
-function ecefToGeodetic(X, Y, Z, a, f) {
+// Convert cartesian (ECEF) to geodetic on an ellipsoid (see
+// ellipsoidConstants)
+function ecefToGeodetic(X, Y, Z, ellipsoid) {
   // Iterative Bowring's method
-  const e2 = 2 * f - f * f;
-  const ep2 = e2 / (1 - e2);
+  const { a, f, e2, ep2 } = ellipsoid;
   const p = Math.sqrt(X * X + Y * Y);
   const theta = Math.atan2(Z * a, p * (1 - f) * a);
   const lon = Math.atan2(Y, X);
@@ -58,124 +84,192 @@ function ecefToGeodetic(X, Y, Z, a, f) {
   return [lat, rad2deg(lon), h];
 }
 
+// Helmert parameters in the units applyHelmert() works in (scale as a
+// factor, rotations in radians). The inverse negates all parameters.
+function prepareHelmert(params, inverse = false) {
+  const sign = inverse ? -1 : 1;
+  return {
+    s: sign * params.scale * 1e-6, // scale in ppm
+    rx: sign * arcsec2rad(params.rx),
+    ry: sign * arcsec2rad(params.ry),
+    rz: sign * arcsec2rad(params.rz),
+    tX: sign * params.dx,
+    tY: sign * params.dy,
+    tZ: sign * params.dz,
+  };
+}
+
+// Apply a 7-parameter Helmert transformation (see prepareHelmert) to ECEF
+// coordinates using the Position Vector convention (EPSG:9606)
+function applyHelmert(X, Y, Z, helmert) {
+  const { s, rx, ry, rz, tX, tY, tZ } = helmert;
+  return [
+    X + tX + s * X - rz * Y + ry * Z,
+    Y + tY + rz * X + s * Y - rx * Z,
+    Z + tZ - ry * X + rx * Y + s * Z,
+  ];
+}
+
+// Look up a registered datum and its ellipsoid
+function getDatum(datumId) {
+  const datum = datums[datumId];
+  if (!datum) throw new Error(`Unknown datum: ${datumId}`);
+  return { ...datum, id: datumId, ellipsoid: ellipsoids[datum.ellipsoid] };
+}
+
+// Datum shifts and Transverse Mercator constants, computed once per datum
+// or projection rather than for every coordinate
+const preparedCache = {};
+
+// Get a datum shift between WGS84 and a datum: { source, helmert, target },
+// or null for WGS84 itself
+function getDatumShift(datumId, toWGS84) {
+  const key = `datum:${datumId}:${toWGS84 ? "toWGS84" : "fromWGS84"}`;
+  if (!(key in preparedCache)) {
+    const datum = getDatum(datumId);
+    const wgs84 = ellipsoidConstants(ellipsoids.WGS84);
+    const local = ellipsoidConstants(datum.ellipsoid);
+    preparedCache[key] = datum.helmert
+      ? {
+          source: toWGS84 ? local : wgs84,
+          helmert: prepareHelmert(datum.helmert, toWGS84),
+          target: toWGS84 ? wgs84 : local,
+        }
+      : null;
+  }
+  return preparedCache[key];
+}
+
+// Shift geodetic coordinates with a datum shift from getDatumShift()
+function shiftDatum(lat, lon, h, shift) {
+  if (!shift) return [lat, lon, h];
+  const [X, Y, Z] = geodeticToECEF(lat, lon, h, shift.source);
+  const [Xt, Yt, Zt] = applyHelmert(X, Y, Z, shift.helmert);
+  return ecefToGeodetic(Xt, Yt, Zt, shift.target);
+}
+
+// Convert geodetic coordinates on a datum to WGS84
+function datumToWGS84(lat, lon, h, datumId) {
+  return shiftDatum(lat, lon, h, getDatumShift(datumId, true));
+}
+
+// Convert WGS84 geodetic coordinates to a datum
+function wgs84ToDatum(lat, lon, h, datumId) {
+  return shiftDatum(lat, lon, h, getDatumShift(datumId, false));
+}
+
 // Apply full Helmert transformation (WGS84 -> PSD93) using Position Vector convention (EPSG:9606)
 function wgs84ToPSD93(lat, lon, h = 0) {
-  // WGS84 ellipsoid
-  const a = 6378137.0;
-  const f = 1 / 298.257223563;
-  let [Xs, Ys, Zs] = geodeticToECEF(lat, lon, h, a, f);
-  // 7-parameter transformation
-  const s = helmertParams.scale * 1e-6; // scale in ppm
-  const rx = arcsec2rad(helmertParams.rx);
-  const ry = arcsec2rad(helmertParams.ry);
-  const rz = arcsec2rad(helmertParams.rz);
-  const tX = helmertParams.dx;
-  const tY = helmertParams.dy;
-  const tZ = helmertParams.dz;
-  // Position Vector convention (EPSG:9606)
-  const Xt = Xs + tX + s * Xs - rz * Ys + ry * Zs;
-  const Yt = Ys + tY + rz * Xs + s * Ys - rx * Zs;
-  const Zt = Zs + tZ - ry * Xs + rx * Ys + s * Zs;
-  // PSD93 ellipsoid (Clarke 1880)
-  const a_psd = 6378249.145;
-  const f_psd = 1 / 293.465;
-  return ecefToGeodetic(Xt, Yt, Zt, a_psd, f_psd);
+  return wgs84ToDatum(lat, lon, h, "PSD93");
 }
 
 // Apply inverse Helmert transformation (PSD93 -> WGS84) using Position Vector convention (EPSG:9606)
 function psd93ToWGS84(lat, lon, h = 0) {
-  // PSD93 ellipsoid (Clarke 1880)
-  const a_psd = 6378249.145;
-  const f_psd = 1 / 293.465;
-  let [Xt, Yt, Zt] = geodeticToECEF(lat, lon, h, a_psd, f_psd);
-  // Inverse 7-parameter transformation
-  const s = -helmertParams.scale * 1e-6; // negative for inverse
-  const rx = -arcsec2rad(helmertParams.rx);
-  const ry = -arcsec2rad(helmertParams.ry);
-  const rz = -arcsec2rad(helmertParams.rz);
-  const tX = -helmertParams.dx;
-  const tY = -helmertParams.dy;
-  const tZ = -helmertParams.dz;
-  // Position Vector convention (EPSG:9606)
-  const Xs = Xt + tX + s * Xt - rz * Yt + ry * Zt;
-  const Ys = Yt + tY + rz * Xt + s * Yt - rx * Zt;
-  const Zs = Zt + tZ - ry * Xt + rx * Yt + s * Zt;
-  // WGS84 ellipsoid
-  const a = 6378137.0;
-  const f = 1 / 298.257223563;
-  return ecefToGeodetic(Xs, Ys, Zs, a, f);
+  return datumToWGS84(lat, lon, h, "PSD93");
 }
 
-// UTM projection for PSD93 (Clarke 1880, zones 39N and 40N)
-function psd93ToUTM(lat, lon, zone) {
-  // Clarke 1880 (RGS)
-  const a = 6378249.145;
-  const f = 1 / 293.465;
-  const k0 = 0.9996;
-  const e2 = 2 * f - f * f;
-  const e = Math.sqrt(e2);
+// Meridian arc length from the equator to a latitude (radians), with the
+// series coefficients of a Transverse Mercator projection's ellipsoid
+function meridianArc(latRad, tm) {
+  const [c0, c2, c4, c6] = tm.meridianCoefficients;
+  return (
+    tm.a *
+    (c0 * latRad -
+      c2 * Math.sin(2 * latRad) +
+      c4 * Math.sin(4 * latRad) -
+      c6 * Math.sin(6 * latRad))
+  );
+}
+
+// Get the constants of a Transverse Mercator projection on an ellipsoid.
+// projection: { lon0, lat0, k0, falseEasting, falseNorthing } (degrees, meters)
+function getTransverseMercator(ellipsoid, projection) {
+  const { a, f } = ellipsoid;
+  const { k0, falseEasting, falseNorthing } = projection;
+  const lat0 = projection.lat0 || 0;
+  const key = `tm:${a}:${f}:${projection.lon0}:${lat0}:${k0}:${falseEasting}:${falseNorthing}`;
+  if (!(key in preparedCache)) {
+    const { e2, ep2 } = ellipsoidConstants(ellipsoid);
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+    const tm = {
+      a,
+      k0,
+      falseEasting,
+      falseNorthing,
+      e2,
+      ep2,
+      e1,
+      lon0: deg2rad(projection.lon0),
+      meridianCoefficients: [
+        1 - e2 / 4 - (3 * e2 * e2) / 64 - (5 * e2 * e2 * e2) / 256,
+        (3 * e2) / 8 + (3 * e2 * e2) / 32 + (45 * e2 * e2 * e2) / 1024,
+        (15 * e2 * e2) / 256 + (45 * e2 * e2 * e2) / 1024,
+        (35 * e2 * e2 * e2) / 3072,
+      ],
+      // Footpoint latitude series
+      footpointCoefficients: [
+        (3 * e1) / 2 - (27 * Math.pow(e1, 3)) / 32,
+        (21 * e1 * e1) / 16 - (55 * Math.pow(e1, 4)) / 32,
+        (151 * Math.pow(e1, 3)) / 96,
+        (1097 * Math.pow(e1, 4)) / 512,
+      ],
+    };
+    tm.M0 = meridianArc(deg2rad(lat0), tm);
+    preparedCache[key] = tm;
+  }
+  return preparedCache[key];
+}
+
+// Transverse Mercator projection of geodetic coordinates with the
+// constants from getTransverseMercator()
+function projectTransverseMercator(lat, lon, tm) {
+  const { k0, falseEasting, falseNorthing, e2, ep2 } = tm;
   const latRad = deg2rad(lat);
   const lonRad = deg2rad(lon);
-  const zoneCM = 6 * zone - 183;
-  const lon0 = deg2rad(zoneCM);
-  const N = a / Math.sqrt(1 - e2 * Math.sin(latRad) * Math.sin(latRad));
+  const N = tm.a / Math.sqrt(1 - e2 * Math.sin(latRad) * Math.sin(latRad));
   const T = Math.tan(latRad) * Math.tan(latRad);
-  const C = (e2 / (1 - e2)) * Math.cos(latRad) * Math.cos(latRad);
-  const A = Math.cos(latRad) * (lonRad - lon0);
-  const M =
-    a *
-    ((1 - e2 / 4 - (3 * e2 * e2) / 64 - (5 * e2 * e2 * e2) / 256) * latRad -
-      ((3 * e2) / 8 + (3 * e2 * e2) / 32 + (45 * e2 * e2 * e2) / 1024) *
-        Math.sin(2 * latRad) +
-      ((15 * e2 * e2) / 256 + (45 * e2 * e2 * e2) / 1024) *
-        Math.sin(4 * latRad) -
-      ((35 * e2 * e2 * e2) / 3072) * Math.sin(6 * latRad));
+  const C = ep2 * Math.cos(latRad) * Math.cos(latRad);
+  const A = Math.cos(latRad) * (lonRad - tm.lon0);
+  const M = meridianArc(latRad, tm);
   const easting =
-    500000 +
+    falseEasting +
     k0 *
       N *
       (A +
         ((1 - T + C) * Math.pow(A, 3)) / 6 +
-        ((5 - 18 * T + T * T + 72 * C - (58 * e2) / (1 - e2)) *
-          Math.pow(A, 5)) /
-          120);
+        ((5 - 18 * T + T * T + 72 * C - 58 * ep2) * Math.pow(A, 5)) / 120);
   const northing =
+    falseNorthing +
     k0 *
-    (M +
-      N *
-        Math.tan(latRad) *
-        ((A * A) / 2 +
-          ((5 - T + 9 * C + 4 * C * C) * Math.pow(A, 4)) / 24 +
-          ((61 - 58 * T + T * T + 600 * C - (330 * e2) / (1 - e2)) *
-            Math.pow(A, 6)) /
-            720));
-  return { easting, northing, zone };
+      (M -
+        tm.M0 +
+        N *
+          Math.tan(latRad) *
+          ((A * A) / 2 +
+            ((5 - T + 9 * C + 4 * C * C) * Math.pow(A, 4)) / 24 +
+            ((61 - 58 * T + T * T + 600 * C - 330 * ep2) * Math.pow(A, 6)) /
+              720));
+  return { easting, northing };
 }
 
-function utmToPSD93(easting, northing, zone) {
-  // Clarke 1880 (RGS)
-  const a = 6378249.145;
-  const f = 1 / 293.465;
-  const k0 = 0.9996;
-  const e2 = 2 * f - f * f;
-  const e = Math.sqrt(e2);
-  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
-  const zoneCM = 6 * zone - 183;
-  const lon0 = deg2rad(zoneCM);
-  const x = easting - 500000;
-  const y = northing;
-  const M = y / k0;
-  const mu =
-    M / (a * (1 - e2 / 4 - (3 * e2 * e2) / 64 - (5 * e2 * e2 * e2) / 256));
+// Inverse Transverse Mercator projection with the constants from
+// getTransverseMercator()
+function unprojectTransverseMercator(easting, northing, tm) {
+  const { a, k0, e2, ep2 } = tm;
+  const [f2, f4, f6, f8] = tm.footpointCoefficients;
+  const x = easting - tm.falseEasting;
+  const y = northing - tm.falseNorthing;
+  const M = tm.M0 + y / k0;
+  const mu = M / (a * tm.meridianCoefficients[0]);
   let phi1 =
     mu +
-    ((3 * e1) / 2 - (27 * Math.pow(e1, 3)) / 32) * Math.sin(2 * mu) +
-    ((21 * e1 * e1) / 16 - (55 * Math.pow(e1, 4)) / 32) * Math.sin(4 * mu) +
-    ((151 * Math.pow(e1, 3)) / 96) * Math.sin(6 * mu) +
-    ((1097 * Math.pow(e1, 4)) / 512) * Math.sin(8 * mu);
+    f2 * Math.sin(2 * mu) +
+    f4 * Math.sin(4 * mu) +
+    f6 * Math.sin(6 * mu) +
+    f8 * Math.sin(8 * mu);
   const N1 = a / Math.sqrt(1 - e2 * Math.sin(phi1) * Math.sin(phi1));
   const T1 = Math.tan(phi1) * Math.tan(phi1);
-  const C1 = (e2 / (1 - e2)) * Math.cos(phi1) * Math.cos(phi1);
+  const C1 = ep2 * Math.cos(phi1) * Math.cos(phi1);
   const R1 =
     (a * (1 - e2)) / Math.pow(1 - e2 * Math.sin(phi1) * Math.sin(phi1), 1.5);
   const D = x / (N1 * k0);
@@ -183,28 +277,17 @@ function utmToPSD93(easting, northing, zone) {
     phi1 -
       ((N1 * Math.tan(phi1)) / R1) *
         ((D * D) / 2 -
-          ((5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - (9 * e2) / (1 - e2)) *
-            Math.pow(D, 4)) /
+          ((5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * Math.pow(D, 4)) /
             24 +
-          ((61 +
-            90 * T1 +
-            298 * C1 +
-            45 * T1 * T1 -
-            (252 * e2) / (1 - e2) -
-            3 * C1 * C1) *
+          ((61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) *
             Math.pow(D, 6)) /
             720)
   );
   const lon = rad2deg(
-    lon0 +
+    tm.lon0 +
       (D -
         ((1 + 2 * T1 + C1) * Math.pow(D, 3)) / 6 +
-        ((5 -
-          2 * C1 +
-          28 * T1 -
-          3 * C1 * C1 +
-          (8 * e2) / (1 - e2) +
-          24 * T1 * T1) *
+        ((5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) *
           Math.pow(D, 5)) /
           120) /
         Math.cos(phi1)
@@ -212,10 +295,533 @@ function utmToPSD93(easting, northing, zone) {
   return { lat, lon };
 }
 
-// Export functions for use in main script
-window.coordSys = {
+// Transverse Mercator projection of geodetic coordinates on an ellipsoid.
+// projection: { lon0, lat0, k0, falseEasting, falseNorthing } (degrees, meters)
+function transverseMercatorForward(lat, lon, ellipsoid, projection) {
+  return projectTransverseMercator(
+    lat,
+    lon,
+    getTransverseMercator(ellipsoid, projection)
+  );
+}
+
+// Inverse Transverse Mercator projection back to geodetic coordinates
+function transverseMercatorInverse(easting, northing, ellipsoid, projection) {
+  return unprojectTransverseMercator(
+    easting,
+    northing,
+    getTransverseMercator(ellipsoid, projection)
+  );
+}
+
+// Point scale factor of a Transverse Mercator projection at a geodetic
+// position on the projection's ellipsoid
+function transverseMercatorScaleFactor(lat, lon, ellipsoid, projection) {
+  const { f } = ellipsoid;
+  const e2 = 2 * f - f * f;
+  const ep2 = e2 / (1 - e2);
+  const latRad = deg2rad(lat);
+  const T = Math.tan(latRad) * Math.tan(latRad);
+  const C = ep2 * Math.cos(latRad) * Math.cos(latRad);
+  const A = Math.cos(latRad) * (deg2rad(lon) - deg2rad(projection.lon0));
+  return (
+    projection.k0 *
+    (1 +
+      ((1 + C) * A * A) / 2 +
+      ((5 - 4 * T + 42 * C + 13 * C * C - 28 * ep2) * Math.pow(A, 4)) / 24 +
+      ((61 - 148 * T + 16 * T * T) * Math.pow(A, 6)) / 720)
+  );
+}
+
+// Grid (meridian) convergence of a Transverse Mercator projection in
+// degrees: the angle from true north to grid north, positive east of the
+// central meridian (so grid bearing = azimuth - convergence)
+function transverseMercatorConvergence(lat, lon, ellipsoid, projection) {
+  const { f } = ellipsoid;
+  const e2 = 2 * f - f * f;
+  const ep2 = e2 / (1 - e2);
+  const latRad = deg2rad(lat);
+  const T = Math.tan(latRad) * Math.tan(latRad);
+  const C = ep2 * Math.cos(latRad) * Math.cos(latRad);
+  const A = Math.cos(latRad) * (deg2rad(lon) - deg2rad(projection.lon0));
+  return rad2deg(
+    Math.tan(latRad) *
+      (A +
+        ((1 + 3 * C + 2 * C * C) * Math.pow(A, 3)) / 3 +
+        ((2 - T) * Math.pow(A, 5)) / 15)
+  );
+}
+
+// Solve the inverse geodesic problem on an ellipsoid (Vincenty, 1975).
+// Returns the distance in meters and the initial/final azimuths in degrees.
+function geodesicInverse(lat1, lon1, lat2, lon2, ellipsoid = ellipsoids.WGS84) {
+  const { a, f } = ellipsoid;
+  const b = a * (1 - f);
+  const L = deg2rad(lon2 - lon1);
+  const U1 = Math.atan((1 - f) * Math.tan(deg2rad(lat1)));
+  const U2 = Math.atan((1 - f) * Math.tan(deg2rad(lat2)));
+  const sinU1 = Math.sin(U1);
+  const cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2);
+  const cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  let lambdaPrev;
+  let iterations = 0;
+  let sinLambda, cosLambda, sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+  do {
+    sinLambda = Math.sin(lambda);
+    cosLambda = Math.cos(lambda);
+    sinSigma = Math.sqrt(
+      Math.pow(cosU2 * sinLambda, 2) +
+        Math.pow(cosU1 * sinU2 - sinU1 * cosU2 * cosLambda, 2)
+    );
+    // Coincident points
+    if (sinSigma === 0) {
+      return { distance: 0, initialBearing: 0, finalBearing: 0 };
+    }
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+    cosSqAlpha = 1 - sinAlpha * sinAlpha;
+    // Equatorial line: cosSqAlpha = 0
+    cos2SigmaM =
+      cosSqAlpha !== 0 ? cosSigma - (2 * sinU1 * sinU2) / cosSqAlpha : 0;
+    const C = (f / 16) * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+    lambdaPrev = lambda;
+    lambda =
+      L +
+      (1 - C) *
+        f *
+        sinAlpha *
+        (sigma +
+          C *
+            sinSigma *
+            (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+  } while (Math.abs(lambda - lambdaPrev) > 1e-12 && ++iterations < 200);
+
+  const uSq = (cosSqAlpha * (a * a - b * b)) / (b * b);
+  const A = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  const deltaSigma =
+    B *
+    sinSigma *
+    (cos2SigmaM +
+      (B / 4) *
+        (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+          (B / 6) *
+            cos2SigmaM *
+            (-3 + 4 * sinSigma * sinSigma) *
+            (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+  const distance = b * A * (sigma - deltaSigma);
+  const alpha1 = Math.atan2(
+    cosU2 * sinLambda,
+    cosU1 * sinU2 - sinU1 * cosU2 * cosLambda
+  );
+  const alpha2 = Math.atan2(
+    cosU1 * sinLambda,
+    -sinU1 * cosU2 + cosU1 * sinU2 * cosLambda
+  );
+  return {
+    distance,
+    initialBearing: (rad2deg(alpha1) + 360) % 360,
+    finalBearing: (rad2deg(alpha2) + 360) % 360,
+  };
+}
+
+// Transverse Mercator parameters of a northern-hemisphere UTM zone
+function utmProjection(zone) {
+  return {
+    type: "tm",
+    zone,
+    lon0: 6 * zone - 183,
+    lat0: 0,
+    k0: 0.9996,
+    falseEasting: 500000,
+    falseNorthing: 0,
+  };
+}
+
+// UTM projection for PSD93 (Clarke 1880, zones 39N and 40N)
+function psd93ToUTM(lat, lon, zone) {
+  const { easting, northing } = transverseMercatorForward(
+    lat,
+    lon,
+    ellipsoids.CLARKE1880_RGS,
+    utmProjection(zone)
+  );
+  return { easting, northing, zone };
+}
+
+function utmToPSD93(easting, northing, zone) {
+  return transverseMercatorInverse(
+    easting,
+    northing,
+    ellipsoids.CLARKE1880_RGS,
+    utmProjection(zone)
+  );
+}
+
+// WGS84 geodetic coordinates of a WGS84 UTM position in any zone
+// (hemisphere "N" or "S")
+function utmToWGS84(easting, northing, zone, hemisphere = "N") {
+  return transverseMercatorInverse(easting, northing, ellipsoids.WGS84, {
+    ...utmProjection(zone),
+    falseNorthing: hemisphere === "S" ? 10000000 : 0,
+  });
+}
+
+// MGRS latitude bands (8° each from 80°S, X spans 72-84°N) and 100 km
+// square letters: column letters repeat every three zones, row letters
+// every two million meters and start at F in even zones
+const MGRS_BANDS = "CDEFGHJKLMNPQRSTUVWX";
+const MGRS_COLUMN_SETS = ["ABCDEFGH", "JKLMNPQR", "STUVWXYZ"];
+const MGRS_ROWS = "ABCDEFGHJKLMNPQRSTUV";
+
+// Convert an MGRS reference { zone, band, column, row, easting, northing }
+// (easting/northing in meters within the 100 km square) to a WGS84 UTM
+// position { zone, hemisphere, easting, northing }
+function mgrsToUTM({ zone, band, column, row, easting, northing }) {
+  const bandIndex = MGRS_BANDS.indexOf(band);
+  const columnIndex = MGRS_COLUMN_SETS[(zone - 1) % 3].indexOf(column);
+  const rowIndex =
+    (MGRS_ROWS.indexOf(row) - (zone % 2 === 0 ? 5 : 0) + 20) % 20;
+  if (bandIndex === -1 || columnIndex === -1 || MGRS_ROWS.indexOf(row) === -1) {
+    throw new Error(`Invalid MGRS grid square: ${zone}${band} ${column}${row}`);
+  }
+
+  // The row letter repeats every 2000 km: take the first square reaching
+  // the southern edge of the latitude band
+  const hemisphere = band >= "N" ? "N" : "S";
+  const projection = {
+    ...utmProjection(zone),
+    falseNorthing: hemisphere === "S" ? 10000000 : 0,
+  };
+  const bandSouth = transverseMercatorForward(
+    -80 + bandIndex * 8,
+    projection.lon0,
+    ellipsoids.WGS84,
+    projection
+  ).northing;
+  let squareNorthing = rowIndex * 100000;
+  while (squareNorthing + 100000 <= bandSouth) squareNorthing += 2000000;
+
+  return {
+    zone,
+    hemisphere,
+    easting: (columnIndex + 1) * 100000 + easting,
+    northing: squareNorthing + northing,
+  };
+}
+
+// Register a datum: { name, ellipsoid, helmert } (helmert is WGS84 -> datum)
+function registerDatum(id, definition) {
+  if (!ellipsoids[definition.ellipsoid]) {
+    throw new Error(`Unknown ellipsoid: ${definition.ellipsoid}`);
+  }
+  datums[id] = definition;
+  // Drop prepared shifts of a datum being redefined
+  delete preparedCache[`datum:${id}:toWGS84`];
+  delete preparedCache[`datum:${id}:fromWGS84`];
+}
+
+// Register a coordinate reference system:
+// { name, datum, epsg, projection } where projection is null for geographic
+// systems or a Transverse Mercator definition ({ type: "tm", lon0, lat0, k0,
+// falseEasting, falseNorthing, zone })
+function registerCRS(id, definition) {
+  if (!datums[definition.datum]) {
+    throw new Error(`Unknown datum: ${definition.datum}`);
+  }
+  if (definition.projection && definition.projection.type !== "tm") {
+    throw new Error(`Unsupported projection: ${definition.projection.type}`);
+  }
+  crsRegistry[id] = { id, projection: null, ...definition };
+}
+
+// Get a registered coordinate reference system
+function getCRS(id) {
+  const crs = crsRegistry[id];
+  if (!crs) throw new Error(`Unknown coordinate system: ${id}`);
+  return crs;
+}
+
+// List all registered coordinate reference systems
+function listCRS() {
+  return Object.values(crsRegistry);
+}
+
+// Whether a coordinate system is projected (easting/northing) rather than
+// geographic (lat/lon)
+function isProjected(id) {
+  return !!getCRS(id).projection;
+}
+
+// Prepare the conversion between two registered systems: a function of
+// (x, y, h) -> [x, y, h], where x/y are easting/northing for projected
+// systems and lat/lon for geographic ones, with all constants computed once
+function prepareTransform(from, to) {
+  const source = getCRS(from);
+  const target = getCRS(to);
+  const sourceTM = source.projection
+    ? getTransverseMercator(getDatum(source.datum).ellipsoid, source.projection)
+    : null;
+  const targetTM = target.projection
+    ? getTransverseMercator(getDatum(target.datum).ellipsoid, target.projection)
+    : null;
+  const shift = source.datum !== target.datum;
+  const toWGS84 = shift ? getDatumShift(source.datum, true) : null;
+  const fromWGS84 = shift ? getDatumShift(target.datum, false) : null;
+
+  return (x, y, h) => {
+    // Source coordinates -> geodetic on the source datum
+    let lat = x;
+    let lon = y;
+    if (sourceTM) ({ lat, lon } = unprojectTransverseMercator(x, y, sourceTM));
+
+    // Datum shift through WGS84
+    let height = h;
+    if (shift) {
+      [lat, lon, height] = shiftDatum(lat, lon, height, toWGS84);
+      [lat, lon, height] = shiftDatum(lat, lon, height, fromWGS84);
+    }
+
+    // Geodetic on the target datum -> target coordinates
+    if (targetTM) {
+      const { easting, northing } = projectTransverseMercator(
+        lat,
+        lon,
+        targetTM
+      );
+      return [easting, northing, height];
+    }
+    return [lat, lon, height];
+  };
+}
+
+// Transform coordinates between two registered systems.
+// Geographic coords are { lat, lon, h }, projected coords { easting, northing, h }.
+function transform(from, to, coords) {
+  const projectedSource = isProjected(from);
+  const [x, y, h] = prepareTransform(from, to)(
+    projectedSource ? coords.easting : coords.lat,
+    projectedSource ? coords.northing : coords.lon,
+    coords.h || 0
+  );
+  return isProjected(to)
+    ? { easting: x, northing: y, h }
+    : { lat: x, lon: y, h };
+}
+
+// Transform arrays (or typed arrays) of coordinates between two registered
+// systems: { lat, lon, h } or { easting, northing, h } of arrays in, the
+// same of Float64Arrays out. Heights are optional.
+function transformBatch(from, to, coords) {
+  const run = prepareTransform(from, to);
+  const projectedSource = isProjected(from);
+  const xs = projectedSource ? coords.easting : coords.lat;
+  const ys = projectedSource ? coords.northing : coords.lon;
+  const hs = coords.h;
+  const outX = new Float64Array(xs.length);
+  const outY = new Float64Array(xs.length);
+  const outH = new Float64Array(xs.length);
+  for (let i = 0; i < xs.length; i++) {
+    [outX[i], outY[i], outH[i]] = run(xs[i], ys[i], hs ? hs[i] || 0 : 0);
+  }
+  return isProjected(to)
+    ? { easting: outX, northing: outY, h: outH }
+    : { lat: outX, lon: outY, h: outH };
+}
+
+// Points transformed per chunk by transformBatchInChunks()
+const BATCH_CHUNK_SIZE = 5000;
+
+// transformBatch() in chunks of BATCH_CHUNK_SIZE points, calling
+// onChunk(done, total) after each one and waiting for the promise it may
+// return (e.g. to let the page update) before the next. The coordinates may
+// be typed or plain arrays.
+async function transformBatchInChunks(from, to, coords, onChunk = () => {}) {
+  // Plain arrays are copied once so that every chunk is a view
+  const arrays = {};
+  Object.keys(coords).forEach((key) => {
+    if (coords[key]) {
+      arrays[key] = ArrayBuffer.isView(coords[key])
+        ? coords[key]
+        : Float64Array.from(coords[key]);
+    }
+  });
+  const total = (arrays.easting || arrays.lat).length;
+  let result = null;
+  let start = 0;
+  do {
+    const end = Math.min(start + BATCH_CHUNK_SIZE, total);
+    const chunk = {};
+    Object.keys(arrays).forEach((key) => {
+      chunk[key] = arrays[key].subarray(start, end);
+    });
+    const part = transformBatch(from, to, chunk);
+    if (!result) {
+      result = {};
+      Object.keys(part).forEach((key) => {
+        result[key] = new Float64Array(total);
+      });
+    }
+    Object.keys(part).forEach((key) => result[key].set(part[key], start));
+    await onChunk(end, total);
+    start = end;
+  } while (start < total);
+  return result;
+}
+
+// Shift arrays of geodetic coordinates with a datum shift
+function shiftDatumBatch(lats, lons, heights, shift) {
+  const lat = new Float64Array(lats.length);
+  const lon = new Float64Array(lats.length);
+  const h = new Float64Array(lats.length);
+  for (let i = 0; i < lats.length; i++) {
+    [lat[i], lon[i], h[i]] = shiftDatum(
+      lats[i],
+      lons[i],
+      heights ? heights[i] || 0 : 0,
+      shift
+    );
+  }
+  return { lat, lon, h };
+}
+
+// Batch wgs84ToPSD93(): arrays of WGS84 lat/lon (and optional heights) to
+// { lat, lon, h } Float64Arrays on PSD93
+function wgs84ToPSD93Batch(lats, lons, heights) {
+  return shiftDatumBatch(lats, lons, heights, getDatumShift("PSD93", false));
+}
+
+// Batch psd93ToWGS84(): arrays of PSD93 lat/lon (and optional heights) to
+// { lat, lon, h } Float64Arrays on WGS84
+function psd93ToWGS84Batch(lats, lons, heights) {
+  return shiftDatumBatch(lats, lons, heights, getDatumShift("PSD93", true));
+}
+
+// Batch psd93ToUTM(): arrays of PSD93 lat/lon to { easting, northing, zone }
+// with Float64Arrays
+function psd93ToUTMBatch(lats, lons, zone) {
+  const tm = getTransverseMercator(
+    ellipsoids.CLARKE1880_RGS,
+    utmProjection(zone)
+  );
+  const easting = new Float64Array(lats.length);
+  const northing = new Float64Array(lats.length);
+  for (let i = 0; i < lats.length; i++) {
+    const projected = projectTransverseMercator(lats[i], lons[i], tm);
+    easting[i] = projected.easting;
+    northing[i] = projected.northing;
+  }
+  return { easting, northing, zone };
+}
+
+// Batch utmToPSD93(): arrays of PSD93 / UTM easting/northing in a zone to
+// { lat, lon } Float64Arrays
+function utmToPSD93Batch(eastings, northings, zone) {
+  const tm = getTransverseMercator(
+    ellipsoids.CLARKE1880_RGS,
+    utmProjection(zone)
+  );
+  const lat = new Float64Array(eastings.length);
+  const lon = new Float64Array(eastings.length);
+  for (let i = 0; i < eastings.length; i++) {
+    const geodetic = unprojectTransverseMercator(eastings[i], northings[i], tm);
+    lat[i] = geodetic.lat;
+    lon[i] = geodetic.lon;
+  }
+  return { lat, lon };
+}
+
+// Point scale factor of a registered projected system at a WGS84 position
+// (1 for geographic systems)
+function scaleFactor(id, lat, lon) {
+  const crs = getCRS(id);
+  if (!crs.projection) return 1;
+  const [datumLat, datumLon] = wgs84ToDatum(lat, lon, 0, crs.datum);
+  return transverseMercatorScaleFactor(
+    datumLat,
+    datumLon,
+    getDatum(crs.datum).ellipsoid,
+    crs.projection
+  );
+}
+
+// Grid convergence (degrees) of a registered projected system at a WGS84
+// position (0 for geographic systems)
+function convergence(id, lat, lon) {
+  const crs = getCRS(id);
+  if (!crs.projection) return 0;
+  const [datumLat, datumLon] = wgs84ToDatum(lat, lon, 0, crs.datum);
+  return transverseMercatorConvergence(
+    datumLat,
+    datumLon,
+    getDatum(crs.datum).ellipsoid,
+    crs.projection
+  );
+}
+
+// Built-in coordinate reference systems. The PSD93 / UTM ids match the
+// coordSystem values stored on points.
+registerCRS("wgs84", { name: "WGS 84", datum: "WGS84", epsg: 4326 });
+registerCRS("wgs84_utm39", {
+  name: "WGS 84 / UTM 39N",
+  datum: "WGS84",
+  epsg: 32639,
+  projection: utmProjection(39),
+});
+registerCRS("wgs84_utm40", {
+  name: "WGS 84 / UTM 40N",
+  datum: "WGS84",
+  epsg: 32640,
+  projection: utmProjection(40),
+});
+registerCRS("psd93", { name: "PSD93", datum: "PSD93", epsg: 4134 });
+registerCRS("utm39", {
+  name: "PSD93 / UTM 39N",
+  datum: "PSD93",
+  epsg: 3439,
+  projection: utmProjection(39),
+});
+registerCRS("utm40", {
+  name: "PSD93 / UTM 40N",
+  datum: "PSD93",
+  epsg: 3440,
+  projection: utmProjection(40),
+});
+
+// Export functions for use in main script and the transform worker, or as a
+// CommonJS module when loaded in Node (see convert.js)
+const coordSys = {
   wgs84ToPSD93,
   psd93ToWGS84,
   psd93ToUTM,
   utmToPSD93,
+  wgs84ToPSD93Batch,
+  psd93ToWGS84Batch,
+  psd93ToUTMBatch,
+  utmToPSD93Batch,
+  utmToWGS84,
+  mgrsToUTM,
+  ellipsoids,
+  registerDatum,
+  registerCRS,
+  getCRS,
+  listCRS,
+  isProjected,
+  utmProjection,
+  transform,
+  transformBatch,
+  transformBatchInChunks,
+  scaleFactor,
+  convergence,
+  geodesicInverse,
 };
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = coordSys;
+} else {
+  // window in the page, the worker's global scope in transform-worker.js
+  self.coordSys = coordSys;
+}
@@ -0,0 +1,1374 @@
+// formats.js
+// Parsing and writing of exchange file formats (delimited text, GeoJSON, DXF,
+// KML, project files) and of typed coordinates (DMS, decimal degrees, UTM,
+// MGRS)
+
+// Delimiters offered for delimited text; "whitespace" splits on runs of
+// spaces and tabs
+const DELIMITERS = {
+  comma: ",",
+  tab: "\t",
+  semicolon: ";",
+  whitespace: null,
+};
+
+// Column name patterns used to guess the column mapping from a header row
+const COLUMN_PATTERNS = {
+  name: /^(name|point|pt|id|station|stn|point ?name|point ?id)$/i,
+  easting: /^(e|east|easting|x|lon|long|longitude)$/i,
+  northing: /^(n|north|northing|y|lat|latitude)$/i,
+  height: /^(h|z|height|elev|elevation|rl|alt|altitude)$/i,
+  code: /^(code|desc|description|feature|fcode)$/i,
+};
+
+// Whether a text field holds a number
+function isNumeric(value) {
+  return value !== "" && value !== undefined && !isNaN(Number(value));
+}
+
+// Guess the delimiter of delimited text from its first lines
+function detectDelimiter(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .slice(0, 10);
+  const counts = { tab: 0, comma: 0, semicolon: 0 };
+  lines.forEach((line) => {
+    counts.tab += (line.match(/\t/g) || []).length;
+    counts.comma += (line.match(/,/g) || []).length;
+    counts.semicolon += (line.match(/;/g) || []).length;
+  });
+  const best = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  return counts[best] >= lines.length && lines.length > 0 ? best : "whitespace";
+}
+
+// Split one line on a single-character delimiter, honouring double quotes
+function splitQuoted(line, delimiter) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+// Split delimited text into rows of trimmed fields. Each row keeps its
+// 1-based line number in the source file for error reporting.
+function parseDelimitedText(text, delimiterName) {
+  const delimiter = DELIMITERS[delimiterName];
+  const rows = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    const fields =
+      delimiter === null
+        ? line.trim().split(/\s+/)
+        : splitQuoted(line, delimiter).map((field) => field.trim());
+    rows.push({ line: index + 1, fields });
+  });
+  return rows;
+}
+
+// Write rows of fields as delimited text, quoting fields that contain the
+// delimiter, quotes or line breaks
+function buildDelimitedText(rows, delimiterName = "comma") {
+  const delimiter = DELIMITERS[delimiterName] || " ";
+  const quote = (field) => {
+    const text = String(field);
+    return text.includes(delimiter) || /["\r\n]/.test(text)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  };
+  return (
+    rows.map((row) => row.map(quote).join(delimiter)).join("\r\n") + "\r\n"
+  );
+}
+
+// Guess whether the first row is a header: it has fewer numeric fields
+// than the row after it
+function detectHeader(rows) {
+  if (rows.length < 2) return false;
+  const numericCount = (row) => row.fields.filter(isNumeric).length;
+  return numericCount(rows[0]) < numericCount(rows[1]);
+}
+
+// Guess which column holds each field ({ name, easting, northing, height,
+// code } -> column index or -1), from header names when there is a header
+// and from the usual name, easting, northing, height, code order otherwise
+function guessColumnMapping(rows, hasHeader) {
+  const mapping = { name: -1, easting: -1, northing: -1, height: -1, code: -1 };
+  const columnCount = rows.reduce(
+    (max, row) => Math.max(max, row.fields.length),
+    0
+  );
+
+  if (hasHeader && rows.length > 0) {
+    rows[0].fields.forEach((header, index) => {
+      Object.keys(COLUMN_PATTERNS).forEach((field) => {
+        if (mapping[field] === -1 && COLUMN_PATTERNS[field].test(header)) {
+          mapping[field] = index;
+        }
+      });
+    });
+    if (mapping.easting !== -1 && mapping.northing !== -1) return mapping;
+  }
+
+  // Positional guess: only a leading non-numeric column is the point name,
+  // so an all-numeric E/N/H file keeps its height
+  const sample = rows[hasHeader ? 1 : 0];
+  const firstIsName = sample && !isNumeric(sample.fields[0]);
+  const order = firstIsName
+    ? ["name", "easting", "northing", "height", "code"]
+    : ["easting", "northing", "height", "code"];
+  order.forEach((field, index) => {
+    if (index < columnCount) mapping[field] = index;
+  });
+  return mapping;
+}
+
+// Pick a feature's name from the usual property names
+function featureName(properties) {
+  const props = properties || {};
+  const name = ["name", "Name", "NAME", "label", "id", "ID"]
+    .map((key) => props[key])
+    .find((value) => value !== undefined && value !== null && value !== "");
+  return name !== undefined ? String(name) : "";
+}
+
+// Get the EPSG code declared by a GeoJSON "crs" member (2008 spec, still
+// written by QGIS), or 4326 when there is none
+function geoJSONCrsCode(data) {
+  const name =
+    data.crs && data.crs.properties ? String(data.crs.properties.name) : "";
+  if (!name || /CRS84$/i.test(name)) return 4326;
+  const match = name.match(/EPSG:{1,2}(\d+)$/i);
+  if (!match) throw new Error(`Unsupported GeoJSON CRS: ${name}`);
+  return parseInt(match[1]);
+}
+
+// Read a GeoJSON FeatureCollection (or single Feature) into groups of raw
+// coordinates: { epsg, groups: [{ name, color, lineWidth, lineDash,
+// fillOpacity, closed, points: [{ name, x, y, z, properties }] }] }. Line
+// and polygon features become groups, keeping the line style of our own
+// export; Point features join the group named by their groupId/group
+// property, and the remaining points form one group per collection.
+function parseGeoJSON(data, defaultName) {
+  const features =
+    data.type === "FeatureCollection"
+      ? data.features || []
+      : data.type === "Feature"
+      ? [data]
+      : [];
+  if (data.type !== "FeatureCollection" && data.type !== "Feature") {
+    throw new Error("Not a GeoJSON FeatureCollection or Feature");
+  }
+
+  const toPoint = (coords, properties, fallbackName) => ({
+    name: featureName(properties) || fallbackName,
+    x: coords[0],
+    y: coords[1],
+    z: coords.length > 2 ? coords[2] : undefined,
+    properties: properties || {},
+  });
+
+  // Point features, keyed by the group they belong to
+  const pointSets = {};
+  const pointKeys = [];
+  const pathGroups = [];
+  features.forEach((feature, featureIndex) => {
+    const geometry = feature.geometry;
+    if (!geometry) return;
+    const props = feature.properties || {};
+    const name = featureName(props) || `${defaultName} ${featureIndex + 1}`;
+
+    const addPath = (coords, closed, partName) => {
+      let vertices = coords;
+      // Polygon rings repeat their first vertex at the end
+      if (closed && vertices.length > 1) {
+        const first = vertices[0];
+        const last = vertices[vertices.length - 1];
+        if (first[0] === last[0] && first[1] === last[1]) {
+          vertices = vertices.slice(0, -1);
+        }
+      }
+      pathGroups.push({
+        key: props.groupId !== undefined ? String(props.groupId) : name,
+        name: partName,
+        color: props.color,
+        ...validateGroupStyle(props),
+        closed,
+        points: vertices.map((c, i) =>
+          toPoint(c, null, `${partName} ${i + 1}`)
+        ),
+      });
+    };
+
+    switch (geometry.type) {
+      case "Point": {
+        const key =
+          props.groupId !== undefined
+            ? String(props.groupId)
+            : props.group !== undefined
+            ? String(props.group)
+            : "";
+        if (!pointSets[key]) {
+          pointSets[key] = [];
+          pointKeys.push(key);
+        }
+        pointSets[key].push(
+          toPoint(geometry.coordinates, props, `Point ${featureIndex + 1}`)
+        );
+        break;
+      }
+      case "MultiPoint":
+        if (!pointSets[name]) {
+          pointSets[name] = [];
+          pointKeys.push(name);
+        }
+        geometry.coordinates.forEach((c, i) =>
+          pointSets[name].push(toPoint(c, null, `${name} ${i + 1}`))
+        );
+        break;
+      case "LineString":
+        addPath(geometry.coordinates, false, name);
+        break;
+      case "MultiLineString":
+        geometry.coordinates.forEach((line, i) =>
+          addPath(line, false, i === 0 ? name : `${name} (${i + 1})`)
+        );
+        break;
+      case "Polygon":
+        // Outer ring only
+        addPath(geometry.coordinates[0], true, name);
+        break;
+      case "MultiPolygon":
+        geometry.coordinates.forEach((polygon, i) =>
+          addPath(polygon[0], true, i === 0 ? name : `${name} (${i + 1})`)
+        );
+        break;
+    }
+  });
+
+  // Paths take over the named points of their group (round trip of our own
+  // export); otherwise their vertices are the points
+  const groups = pathGroups.map((path) => {
+    const namedPoints = pointSets[path.key] || pointSets[path.name];
+    if (namedPoints) {
+      delete pointSets[path.key];
+      delete pointSets[path.name];
+      return { ...path, points: namedPoints };
+    }
+    return path;
+  });
+  pointKeys
+    .filter((key) => pointSets[key])
+    .forEach((key) => {
+      const groupName =
+        (pointSets[key][0].properties.group !== undefined &&
+          String(pointSets[key][0].properties.group)) ||
+        key ||
+        defaultName;
+      groups.push({ name: groupName, closed: false, points: pointSets[key] });
+    });
+
+  return { epsg: geoJSONCrsCode(data), groups };
+}
+
+// RGB values of the AutoCAD Color Index (1-249); 10-249 are 24 hues in
+// steps of 15° with five brightness levels, full and half saturation
+function aciPalette() {
+  const palette = {
+    1: [255, 0, 0],
+    2: [255, 255, 0],
+    3: [0, 255, 0],
+    4: [0, 255, 255],
+    5: [0, 0, 255],
+    6: [255, 0, 255],
+    7: [255, 255, 255],
+    8: [128, 128, 128],
+    9: [192, 192, 192],
+  };
+  const brightness = [1, 1, 0.8, 0.8, 0.6, 0.6, 0.5, 0.5, 0.3, 0.3];
+  for (let index = 10; index < 250; index++) {
+    const hue = Math.floor((index - 10) / 10) * 15;
+    const offset = (index - 10) % 10;
+    const value = brightness[offset] * 255;
+    const saturation = offset % 2 === 0 ? 1 : 0.5;
+    const channel = (n) => {
+      const k = (n + hue / 60) % 6;
+      return Math.round(
+        value - value * saturation * Math.max(0, Math.min(k, 4 - k, 1))
+      );
+    };
+    palette[index] = [channel(5), channel(3), channel(1)];
+  }
+  return palette;
+}
+
+// Nearest AutoCAD Color Index for a "#rrggbb" colour (7, white/black, is
+// never chosen)
+function hexToAci(hex) {
+  const rgb = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  const palette = aciPalette();
+  let best = 1;
+  let bestDistance = Infinity;
+  Object.keys(palette).forEach((index) => {
+    if (index === "7") return;
+    const distance = palette[index].reduce(
+      (sum, value, i) => sum + Math.pow(value - rgb[i], 2),
+      0
+    );
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = parseInt(index);
+    }
+  });
+  return best;
+}
+
+// "#rrggbb" colour of an AutoCAD Color Index (undefined for unknown indexes)
+function aciToHex(index) {
+  const rgb = aciPalette()[Math.abs(index)];
+  if (!rgb) return undefined;
+  return "#" + rgb.map((value) => value.toString(16).padStart(2, "0")).join("");
+}
+
+// Make a name usable as a DXF layer name
+function dxfLayerName(name) {
+  return name.replace(/[<>\/\\":;?*|=`,\r\n]/g, "_").trim() || "0";
+}
+
+// Write an ASCII DXF drawing. Each layer is { name, color ("#rrggbb"),
+// points: [{ name, x, y, z, properties }], path: [{ x, y }] or null, closed
+// }; points become POINT entities with a TEXT label, their properties (code
+// and attributes) "key=value" extended data, and the path an R12 POLYLINE
+// with VERTEX entities. Points without a z are written without elevation.
+function buildDXF(layers, comment) {
+  const lines = [];
+  const add = (code, value) => lines.push(String(code), String(value));
+  const num = (value) => Number(value).toFixed(3);
+  // Line breaks would end a value early and shift every later pair
+  const text = (value) => String(value).replace(/[\r\n]+/g, " ");
+
+  // Text height from the drawing extents
+  const all = layers.flatMap((layer) => layer.points);
+  const xs = all.map((p) => p.x);
+  const ys = all.map((p) => p.y);
+  const extent = all.length
+    ? Math.max(
+        Math.max(...xs) - Math.min(...xs),
+        Math.max(...ys) - Math.min(...ys)
+      )
+    : 0;
+  const textHeight = Math.min(Math.max(extent / 200, 0.2), 5);
+
+  if (comment) add(999, text(comment));
+  add(0, "SECTION");
+  add(2, "HEADER");
+  add(9, "$ACADVER");
+  add(1, "AC1009");
+  add(0, "ENDSEC");
+
+  add(0, "SECTION");
+  add(2, "TABLES");
+  add(0, "TABLE");
+  add(2, "LAYER");
+  add(70, layers.length);
+  layers.forEach((layer) => {
+    add(0, "LAYER");
+    add(2, dxfLayerName(layer.name));
+    add(70, 0);
+    add(62, hexToAci(layer.color));
+    add(6, "CONTINUOUS");
+  });
+  add(0, "ENDTAB");
+  add(0, "TABLE");
+  add(2, "APPID");
+  add(70, 1);
+  add(0, "APPID");
+  add(2, DXF_APP_ID);
+  add(70, 0);
+  add(0, "ENDTAB");
+  add(0, "ENDSEC");
+
+  add(0, "SECTION");
+  add(2, "ENTITIES");
+  layers.forEach((layer) => {
+    const layerName = dxfLayerName(layer.name);
+    layer.points.forEach((point) => {
+      const hasZ = typeof point.z === "number";
+      add(0, "POINT");
+      add(8, layerName);
+      add(10, num(point.x));
+      add(20, num(point.y));
+      if (hasZ) add(30, num(point.z));
+      const properties = Object.entries(point.properties || {});
+      if (properties.length > 0) {
+        add(1001, DXF_APP_ID);
+        properties.forEach(([key, value]) =>
+          add(1000, text(`${key}=${value}`).slice(0, 255))
+        );
+      }
+      add(0, "TEXT");
+      add(8, layerName);
+      add(10, num(point.x + textHeight / 2));
+      add(20, num(point.y + textHeight / 2));
+      if (hasZ) add(30, num(point.z));
+      add(40, num(textHeight));
+      add(1, text(point.name));
+    });
+    if (layer.path && layer.path.length >= 2) {
+      add(0, "POLYLINE");
+      add(8, layerName);
+      add(66, 1); // vertices follow
+      add(10, num(0));
+      add(20, num(0));
+      add(30, num(0));
+      add(70, layer.closed ? 1 : 0);
+      layer.path.forEach((vertex) => {
+        add(0, "VERTEX");
+        add(8, layerName);
+        add(10, num(vertex.x));
+        add(20, num(vertex.y));
+        add(30, num(0));
+      });
+      add(0, "SEQEND");
+      add(8, layerName);
+    }
+  });
+  add(0, "ENDSEC");
+  add(0, "EOF");
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Application name of the extended data (XDATA) holding point codes and
+// attributes in DXF files
+const DXF_APP_ID = "COORDCALC";
+
+// Read the group code/value pairs of an ASCII DXF file
+function readDXFPairs(text) {
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i].trim());
+    if (isNaN(code)) throw new Error(`Invalid DXF group code on line ${i + 1}`);
+    pairs.push({ code, value: lines[i + 1].trim() });
+  }
+  return pairs;
+}
+
+// Split DXF pairs into entities: { type, codes: [{ code, value }] }
+function readDXFEntities(pairs, sectionName) {
+  const entities = [];
+  let inSection = false;
+  let current = null;
+  for (let i = 0; i < pairs.length; i++) {
+    const { code, value } = pairs[i];
+    if (code === 0 && value === "SECTION") {
+      inSection = pairs[i + 1] && pairs[i + 1].value === sectionName;
+      continue;
+    }
+    if (!inSection) continue;
+    if (code === 0) {
+      if (value === "ENDSEC") break;
+      current = { type: value, codes: [] };
+      entities.push(current);
+    } else if (current) {
+      current.codes.push({ code, value });
+    }
+  }
+  return entities;
+}
+
+// First value of a group code in an entity
+function dxfValue(entity, code) {
+  const pair = entity.codes.find((c) => c.code === code);
+  return pair ? pair.value : undefined;
+}
+
+// Read the "key=value" strings of our extended data on an entity into an
+// object, or null when it has none
+function readDXFProperties(entity) {
+  const start = entity.codes.findIndex(
+    ({ code, value }) => code === 1001 && value === DXF_APP_ID
+  );
+  if (start === -1) return null;
+  const properties = {};
+  for (let i = start + 1; i < entity.codes.length; i++) {
+    const { code, value } = entity.codes[i];
+    if (code === 1001) break;
+    if (code !== 1000) continue;
+    const separator = value.indexOf("=");
+    if (separator > 0) {
+      properties[value.slice(0, separator)] = value.slice(separator + 1);
+    }
+  }
+  return properties;
+}
+
+// Read points and polylines of a simple ASCII DXF into groups of raw
+// coordinates: { comment, groups: [{ name, color, closed, points: [{ name,
+// x, y, z, properties }] }] }. Each polyline becomes a group named after its
+// layer and takes the names of POINTs labelled by TEXT at its vertices; the
+// remaining points of a layer form one group. POINTs keep the properties
+// of our extended data.
+function parseDXF(text) {
+  const pairs = readDXFPairs(text);
+  const comment = pairs.length && pairs[0].code === 999 ? pairs[0].value : "";
+
+  // Layer colours from the LAYER table
+  const layerColors = {};
+  readDXFEntities(pairs, "TABLES")
+    .filter((entry) => entry.type === "LAYER")
+    .forEach((entry) => {
+      layerColors[dxfValue(entry, 2)] = aciToHex(parseInt(dxfValue(entry, 62)));
+    });
+
+  const layers = {};
+  const layerOf = (entity) => {
+    const name = dxfValue(entity, 8) || "0";
+    if (!layers[name]) layers[name] = { points: [], texts: [], paths: [] };
+    return layers[name];
+  };
+  const coord = (entity, code) => parseFloat(dxfValue(entity, code) || "0");
+
+  const entities = readDXFEntities(pairs, "ENTITIES");
+  for (let i = 0; i < entities.length; i++) {
+    const entity = entities[i];
+    switch (entity.type) {
+      case "POINT": {
+        const point = { x: coord(entity, 10), y: coord(entity, 20) };
+        // A missing elevation means a 2D point, not a height of 0
+        if (dxfValue(entity, 30) !== undefined) point.z = coord(entity, 30);
+        const properties = readDXFProperties(entity);
+        if (properties) point.properties = properties;
+        layerOf(entity).points.push(point);
+        break;
+      }
+      case "TEXT":
+        layerOf(entity).texts.push({
+          x: coord(entity, 10),
+          y: coord(entity, 20),
+          height: coord(entity, 40) || 1,
+          text: dxfValue(entity, 1) || "",
+        });
+        break;
+      case "LWPOLYLINE": {
+        const vertices = [];
+        entity.codes.forEach(({ code, value }) => {
+          if (code === 10) vertices.push({ x: parseFloat(value), y: 0 });
+          if (code === 20 && vertices.length) {
+            vertices[vertices.length - 1].y = parseFloat(value);
+          }
+        });
+        layerOf(entity).paths.push({
+          vertices,
+          closed: (parseInt(dxfValue(entity, 70) || "0") & 1) === 1,
+        });
+        break;
+      }
+      case "POLYLINE": {
+        // R12 polyline: VERTEX entities follow until SEQEND
+        const vertices = [];
+        while (entities[i + 1] && entities[i + 1].type === "VERTEX") {
+          i++;
+          vertices.push({
+            x: coord(entities[i], 10),
+            y: coord(entities[i], 20),
+          });
+        }
+        if (entities[i + 1] && entities[i + 1].type === "SEQEND") i++;
+        layerOf(entity).paths.push({
+          vertices,
+          closed: (parseInt(dxfValue(entity, 70) || "0") & 1) === 1,
+        });
+        break;
+      }
+      case "LINE":
+        layerOf(entity).paths.push({
+          vertices: [
+            { x: coord(entity, 10), y: coord(entity, 20) },
+            { x: coord(entity, 11), y: coord(entity, 21) },
+          ],
+          closed: false,
+        });
+        break;
+    }
+  }
+
+  const groups = [];
+  Object.keys(layers).forEach((layerName) => {
+    const layer = layers[layerName];
+
+    // Name points after the nearest TEXT label placed beside them
+    layer.points.forEach((point, index) => {
+      let best = null;
+      layer.texts.forEach((label) => {
+        const distance = Math.hypot(label.x - point.x, label.y - point.y);
+        if (distance <= label.height * 3 && (!best || distance < best.d)) {
+          best = { d: distance, text: label.text };
+        }
+      });
+      point.name = best ? best.text : `${layerName} ${index + 1}`;
+    });
+
+    const used = new Set();
+    layer.paths.forEach((path, pathIndex) => {
+      const name =
+        layer.paths.length > 1 ? `${layerName} (${pathIndex + 1})` : layerName;
+      groups.push({
+        name,
+        color: layerColors[layerName],
+        closed: path.closed,
+        points: path.vertices.map((vertex, i) => {
+          const match = layer.points.find(
+            (point) =>
+              Math.abs(point.x - vertex.x) < 0.001 &&
+              Math.abs(point.y - vertex.y) < 0.001
+          );
+          if (match) used.add(match);
+          return match
+            ? { ...match }
+            : { name: `${name} ${i + 1}`, x: vertex.x, y: vertex.y };
+        }),
+      });
+    });
+
+    const loose = layer.points.filter((point) => !used.has(point));
+    if (loose.length > 0) {
+      groups.push({
+        name: layer.paths.length > 0 ? `${layerName} points` : layerName,
+        color: layerColors[layerName],
+        closed: false,
+        points: loose,
+      });
+    }
+  });
+
+  return { comment, groups };
+}
+
+// Read one latitude or longitude from degrees, minutes and seconds numbers
+// and an optional hemisphere letter
+function dmsToDegrees(numbers, hemisphere) {
+  const [degrees, minutes = 0, seconds = 0] = numbers;
+  if (minutes >= 60 || seconds >= 60 || minutes < 0 || seconds < 0) {
+    return NaN;
+  }
+  const value = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+  const negative =
+    hemisphere === "S" ||
+    hemisphere === "W" ||
+    Object.is(degrees, -0) ||
+    degrees < 0;
+  return negative ? -value : value;
+}
+
+// Parse a typed or pasted coordinate. Recognises MGRS ("40Q GF 12345
+// 67890"), WGS84 UTM with a band or hemisphere letter ("40Q 612345
+// 2609876") and latitude/longitude in decimal degrees, degrees and decimal
+// minutes or DMS, latitude first unless marked with N/S/E/W letters
+// ("23°35'16.8\"N 58°22'58.4\"E", "23.5880, 58.3829"). Returns
+// { format: "mgrs", zone, band, column, row, easting, northing },
+// { format: "utm", zone, hemisphere, easting, northing },
+// { format: "geographic", lat, lon } or null when not recognised.
+function parseCoordinateText(text) {
+  const value = text.trim().toUpperCase();
+
+  const mgrs = value.match(
+    /^(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d+)\s*(\d*)$/
+  );
+  if (mgrs) {
+    const digits = mgrs[5] + mgrs[6];
+    const half = digits.length / 2;
+    if (digits.length % 2 !== 0 || half > 5) return null;
+    const scale = Math.pow(10, 5 - half);
+    return {
+      format: "mgrs",
+      zone: Number(mgrs[1]),
+      band: mgrs[2],
+      column: mgrs[3],
+      row: mgrs[4],
+      easting: half ? Number(digits.slice(0, half)) * scale : 0,
+      northing: half ? Number(digits.slice(half)) * scale : 0,
+    };
+  }
+
+  const utm = value.match(
+    /^(\d{1,2})\s*([C-HJ-NP-X])[\s,]+(\d+(?:\.\d+)?)\s*(?:M?E)?[\s,]+(\d+(?:\.\d+)?)\s*(?:M?N)?$/
+  );
+  if (utm) {
+    // "N" and "S" are read as hemispheres, other letters as MGRS bands
+    const letter = utm[2];
+    return {
+      format: "utm",
+      zone: Number(utm[1]),
+      hemisphere:
+        letter === "N" ? "N" : letter === "S" || letter < "N" ? "S" : "N",
+      easting: Number(utm[3]),
+      northing: Number(utm[4]),
+    };
+  }
+
+  // Split into numbers and hemisphere letters
+  const tokens = value
+    .replace(/[°º'′"″:,;]|DEG/g, " ")
+    .replace(/([NSEW])/g, " $1 ")
+    .trim()
+    .split(/\s+/);
+  if (!tokens.every((t) => /^[NSEW]$/.test(t) || isNumeric(t))) return null;
+
+  const letters = tokens.filter((t) => /^[NSEW]$/.test(t));
+  const parts = [];
+  if (letters.length === 0) {
+    const numbers = tokens.map(Number);
+    if (![2, 4, 6].includes(numbers.length)) return null;
+    const half = numbers.length / 2;
+    parts.push({ numbers: numbers.slice(0, half) });
+    parts.push({ numbers: numbers.slice(half) });
+  } else {
+    if (letters.length !== 2) return null;
+    // Letters either all precede or all follow their numbers
+    const prefix = /^[NSEW]$/.test(tokens[0]);
+    let current = { numbers: [] };
+    tokens.forEach((token) => {
+      if (/^[NSEW]$/.test(token)) {
+        if (prefix) {
+          if (current.hemisphere) parts.push(current);
+          current = { numbers: [], hemisphere: token };
+        } else {
+          current.hemisphere = token;
+          parts.push(current);
+          current = { numbers: [] };
+        }
+      } else {
+        current.numbers.push(Number(token));
+      }
+    });
+    if (prefix) parts.push(current);
+    if (!prefix && current.numbers.length > 0) return null;
+  }
+  if (
+    parts.length !== 2 ||
+    parts.some((p) => p.numbers.length < 1 || p.numbers.length > 3)
+  ) {
+    return null;
+  }
+
+  const isLongitude = (p) => p.hemisphere === "E" || p.hemisphere === "W";
+  if (isLongitude(parts[0]) === isLongitude(parts[1]) && letters.length) {
+    return null;
+  }
+  const [latPart, lonPart] = isLongitude(parts[0])
+    ? [parts[1], parts[0]]
+    : parts;
+  const lat = dmsToDegrees(latPart.numbers, latPart.hemisphere);
+  const lon = dmsToDegrees(lonPart.numbers, lonPart.hemisphere);
+  if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return null;
+  }
+  return { format: "geographic", lat, lon };
+}
+
+// Escape text for use in XML content and attributes
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// KML colour (aabbggrr) of a "#rrggbb" colour with an opacity (0-1)
+function hexToKmlColor(hex, opacity = 1) {
+  const alpha = Math.round(opacity * 255)
+    .toString(16)
+    .padStart(2, "0");
+  return alpha + hex.slice(5, 7) + hex.slice(3, 5) + hex.slice(1, 3);
+}
+
+// "#rrggbb" colour of a KML colour (aabbggrr)
+function kmlColorToHex(color) {
+  const value = (color || "").trim();
+  if (!/^[0-9a-f]{8}$/i.test(value)) return undefined;
+  return "#" + value.slice(6, 8) + value.slice(4, 6) + value.slice(2, 4);
+}
+
+// Write a KML document with one Folder per group. Each folder is { name,
+// color ("#rrggbb"), lineWidth, fillOpacity, closed, points: [{ name, lat,
+// lng, height, description, data }], labels: [{ lat, lng, text }] }; point
+// data (code and attributes) is written as ExtendedData, the group path is
+// a styled LineString, or a Polygon for closed parcels, and labels are
+// icon-less Placemarks. Points with a height are placed at that altitude
+// (absolute), and so is the path when every point has one; the rest are
+// written without altitude and follow the ground.
+function buildKML(documentName, folders) {
+  const hasAltitude = (p) => typeof p.height === "number";
+  const coordinate = (p) =>
+    `${p.lng.toFixed(9)},${p.lat.toFixed(9)}` +
+    (hasAltitude(p) ? `,${p.height.toFixed(3)}` : "");
+  const altitudeMode = (absolute) =>
+    absolute ? "<altitudeMode>absolute</altitudeMode>" : "";
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "<Document>",
+    `  <name>${escapeXml(documentName)}</name>`,
+    '  <Style id="distanceLabel">',
+    "    <IconStyle><scale>0</scale></IconStyle>",
+    "    <LabelStyle><scale>0.8</scale></LabelStyle>",
+    "  </Style>",
+  ];
+
+  folders.forEach((folder, index) => {
+    const styleId = `group${index + 1}`;
+    lines.push(
+      `  <Style id="${styleId}">`,
+      `    <IconStyle><color>${hexToKmlColor(
+        folder.color
+      )}</color></IconStyle>`,
+      `    <LineStyle><color>${hexToKmlColor(folder.color)}</color><width>${
+        folder.lineWidth || 3
+      }</width></LineStyle>`,
+      `    <PolyStyle><color>${hexToKmlColor(
+        folder.color,
+        folder.fillOpacity !== undefined ? folder.fillOpacity : 0.3
+      )}</color></PolyStyle>`,
+      "  </Style>",
+      "  <Folder>",
+      `    <name>${escapeXml(folder.name)}</name>`
+    );
+
+    folder.points.forEach((point) => {
+      lines.push(
+        "    <Placemark>",
+        `      <name>${escapeXml(point.name)}</name>`,
+        `      <description>${escapeXml(point.description)}</description>`,
+        `      <styleUrl>#${styleId}</styleUrl>`
+      );
+      const data = Object.entries(point.data || {});
+      if (data.length > 0) {
+        lines.push(
+          "      <ExtendedData>",
+          ...data.map(
+            ([key, value]) =>
+              `        <Data name="${escapeXml(key)}"><value>${escapeXml(
+                value
+              )}</value></Data>`
+          ),
+          "      </ExtendedData>"
+        );
+      }
+      lines.push(
+        `      <Point>${altitudeMode(
+          hasAltitude(point)
+        )}<coordinates>${coordinate(point)}</coordinates></Point>`,
+        "    </Placemark>"
+      );
+    });
+
+    if (folder.points.length >= 2) {
+      const absolute = folder.points.every(hasAltitude);
+      const coordinate2D = (p) => coordinate({ ...p, height: undefined });
+      const coordinates = folder.points.map(
+        absolute ? coordinate : coordinate2D
+      );
+      lines.push(
+        "    <Placemark>",
+        `      <name>${escapeXml(folder.name)}</name>`,
+        `      <styleUrl>#${styleId}</styleUrl>`
+      );
+      if (folder.closed) {
+        coordinates.push(coordinates[0]);
+        lines.push(
+          `      <Polygon>${altitudeMode(
+            absolute
+          )}<outerBoundaryIs><LinearRing>`,
+          `        <coordinates>${coordinates.join(" ")}</coordinates>`,
+          "      </LinearRing></outerBoundaryIs></Polygon>"
+        );
+      } else {
+        lines.push(
+          `      <LineString>${altitudeMode(absolute)}`,
+          `        <coordinates>${coordinates.join(" ")}</coordinates>`,
+          "      </LineString>"
+        );
+      }
+      lines.push("    </Placemark>");
+    }
+
+    (folder.labels || []).forEach((label) => {
+      lines.push(
+        "    <Placemark>",
+        `      <name>${escapeXml(label.text)}</name>`,
+        "      <styleUrl>#distanceLabel</styleUrl>",
+        `      <Point><coordinates>${coordinate(label)}</coordinates></Point>`,
+        "    </Placemark>"
+      );
+    });
+
+    lines.push("  </Folder>");
+  });
+
+  lines.push("</Document>", "</kml>");
+  return lines.join("\n") + "\n";
+}
+
+// Read KML coordinates ("lon,lat[,alt] ...") into { x, y, z } tuples. With
+// clampToGround, the default altitude mode, an altitude of 0 is only a
+// placeholder and gives no z.
+function parseKMLCoordinates(text, altitudeMode) {
+  const clamped = !altitudeMode || altitudeMode === "clampToGround";
+  return text
+    .trim()
+    .split(/\s+/)
+    .filter((tuple) => tuple)
+    .map((tuple) => {
+      const [x, y, z] = tuple.split(",").map(Number);
+      return { x, y, z: isNaN(z) || (clamped && z === 0) ? undefined : z };
+    })
+    .filter((c) => !isNaN(c.x) && !isNaN(c.y));
+}
+
+// Read the Placemarks of a KML document into groups of WGS84 coordinates:
+// { groups: [{ name, color, closed, points: [{ name, x, y, z, properties
+// }] }] } with x the longitude, y the latitude and properties the
+// ExtendedData of point Placemarks. Placemarks are grouped by their nearest
+// Folder (or the Document); paths become groups that take the names of
+// point Placemarks at their vertices, and the remaining points of a folder
+// form one group. Distance labels written by buildKML are skipped.
+function parseKML(text, defaultName) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("The file is not valid XML");
+  }
+  const childText = (element, tag) => {
+    const child = Array.from(element.children).find((c) => c.localName === tag);
+    return child ? child.textContent.trim() : "";
+  };
+
+  // Line colours by style id, following StyleMap "normal" pairs
+  const styleColors = {};
+  Array.from(doc.getElementsByTagName("Style")).forEach((style) => {
+    const lineStyle = style.getElementsByTagName("LineStyle")[0];
+    if (style.getAttribute("id") && lineStyle) {
+      styleColors[style.getAttribute("id")] = kmlColorToHex(
+        childText(lineStyle, "color")
+      );
+    }
+  });
+  Array.from(doc.getElementsByTagName("StyleMap")).forEach((styleMap) => {
+    const normal = Array.from(styleMap.getElementsByTagName("Pair")).find(
+      (pair) => childText(pair, "key") === "normal"
+    );
+    if (normal && styleMap.getAttribute("id")) {
+      styleColors[styleMap.getAttribute("id")] =
+        styleColors[childText(normal, "styleUrl").replace(/^.*#/, "")];
+    }
+  });
+
+  // Collect placemarks per containing folder
+  const containers = new Map();
+  Array.from(doc.getElementsByTagName("Placemark")).forEach((placemark) => {
+    const styleUrl = childText(placemark, "styleUrl").replace(/^.*#/, "");
+    if (styleUrl === "distanceLabel") return;
+
+    let container = placemark.parentElement;
+    while (container && container.localName !== "Folder") {
+      container = container.parentElement;
+    }
+    const key = container || doc.documentElement;
+    if (!containers.has(key)) {
+      containers.set(key, {
+        name: (container && childText(container, "name")) || defaultName,
+        points: [],
+        paths: [],
+      });
+    }
+    const entry = containers.get(key);
+    const name = childText(placemark, "name");
+    const color = styleColors[styleUrl];
+    const properties = {};
+    Array.from(placemark.getElementsByTagName("Data")).forEach((data) => {
+      if (data.getAttribute("name")) {
+        properties[data.getAttribute("name")] = childText(data, "value");
+      }
+    });
+
+    Array.from(placemark.getElementsByTagName("*")).forEach((geometry) => {
+      const coordinatesElement = Array.from(geometry.children).find(
+        (c) => c.localName === "coordinates"
+      );
+      if (geometry.localName === "Point" && coordinatesElement) {
+        const [c] = parseKMLCoordinates(
+          coordinatesElement.textContent,
+          childText(geometry, "altitudeMode")
+        );
+        if (c) entry.points.push({ name, ...c, properties });
+      } else if (geometry.localName === "LineString" && coordinatesElement) {
+        entry.paths.push({
+          name,
+          color,
+          closed: false,
+          vertices: parseKMLCoordinates(
+            coordinatesElement.textContent,
+            childText(geometry, "altitudeMode")
+          ),
+        });
+      } else if (geometry.localName === "outerBoundaryIs") {
+        const ring = geometry.getElementsByTagName("coordinates")[0];
+        if (!ring) return;
+        // The altitude mode belongs to the Polygon
+        let vertices = parseKMLCoordinates(
+          ring.textContent,
+          childText(geometry.parentElement, "altitudeMode")
+        );
+        const first = vertices[0];
+        const last = vertices[vertices.length - 1];
+        if (vertices.length > 1 && first.x === last.x && first.y === last.y) {
+          vertices = vertices.slice(0, -1);
+        }
+        entry.paths.push({ name, color, closed: true, vertices });
+      }
+    });
+  });
+
+  const groups = [];
+  containers.forEach((entry) => {
+    const used = new Set();
+    entry.paths.forEach((path, pathIndex) => {
+      const name = path.name || `${entry.name} (${pathIndex + 1})`;
+      groups.push({
+        name,
+        color: path.color,
+        closed: path.closed,
+        points: path.vertices.map((vertex, i) => {
+          const match = entry.points.find(
+            (point) =>
+              !used.has(point) &&
+              Math.abs(point.x - vertex.x) < 1e-8 &&
+              Math.abs(point.y - vertex.y) < 1e-8
+          );
+          if (match) used.add(match);
+          return match ? { ...match } : { name: `${name} ${i + 1}`, ...vertex };
+        }),
+      });
+    });
+
+    const loose = entry.points
+      .filter((point) => !used.has(point))
+      .map((point, i) => ({
+        ...point,
+        name: point.name || `${entry.name} ${i + 1}`,
+      }));
+    if (loose.length > 0) {
+      groups.push({
+        name: entry.paths.length > 0 ? `${entry.name} points` : entry.name,
+        closed: false,
+        points: loose,
+      });
+    }
+  });
+
+  return { groups };
+}
+
+// Project files written by "Export Data". Version 1 is the original
+// unversioned export: { projectName, groups, exportDate }.
+const PROJECT_FILE_FORMAT = "coordinate-calculator-project";
+const PROJECT_FILE_VERSION = 2;
+
+// Build a project file of groups keyed by id: { name, color, closed, points:
+// [{ id, name, easting, northing, lat, lng, coordSystem, height, code,
+// attributes }] }, with the project's code library, the format version, the
+// app version, the CRS the points are stored in and the units of every
+// length
+function buildProjectFile({
+  projectName,
+  groups,
+  currentGroup,
+  codeLibrary,
+  appVersion,
+  crs,
+}) {
+  return {
+    format: PROJECT_FILE_FORMAT,
+    formatVersion: PROJECT_FILE_VERSION,
+    appVersion,
+    crs,
+    units: { length: "metre", height: "metre", angle: "degree" },
+    projectName,
+    exportDate: new Date().toISOString(),
+    currentGroup,
+    codeLibrary,
+    groups,
+  };
+}
+
+// Bring a parsed project file up to the current format version. Throws when
+// it is not a project file or was written by a newer version of the app.
+function migrateProjectFile(data) {
+  if (!data || typeof data !== "object" || !data.groups) {
+    throw new Error("Not a project file: there is no groups list");
+  }
+  if (data.format !== undefined && data.format !== PROJECT_FILE_FORMAT) {
+    throw new Error(`Unknown file format "${data.format}"`);
+  }
+  const version = data.format === undefined ? 1 : Number(data.formatVersion);
+  if (!(version >= 1)) {
+    throw new Error(`Invalid format version "${data.formatVersion}"`);
+  }
+  if (version > PROJECT_FILE_VERSION) {
+    throw new Error(
+      `The file is format version ${version}; this app reads up to version ${PROJECT_FILE_VERSION}. Please update the app.`
+    );
+  }
+
+  let migrated = data;
+  if (version < 2) {
+    // Version 1 points may predate UTM 39N support (all in UTM 40N) and
+    // groups may predate parcel mode
+    const groups = {};
+    Object.keys(data.groups).forEach((groupId) => {
+      const group = data.groups[groupId];
+      groups[groupId] =
+        group && Array.isArray(group.points)
+          ? {
+              ...group,
+              closed: !!group.closed,
+              points: group.points.map((point) =>
+                point && typeof point === "object" && !point.coordSystem
+                  ? { ...point, coordSystem: "utm40" }
+                  : point
+              ),
+            }
+          : group;
+    });
+    migrated = {
+      ...data,
+      format: PROJECT_FILE_FORMAT,
+      formatVersion: 2,
+      groups,
+    };
+  }
+  return { data: migrated, migratedFrom: version };
+}
+
+// Check the groups of a (migrated) project file. Returns the well-formed
+// groups and points and a description of everything left out, e.g.
+// 'Group "Plot 12" (group_17), point 3 "P3": easting is not a number'.
+// Points must be in one of the given coordinate systems, and invalid line
+// style fields (see GROUP_LINE_STYLE) and colours other than "#rrggbb" are
+// left out, as are point ids that are not whole numbers or are repeated,
+// for the importer to replace.
+function validateProjectGroups(groups, coordSystems) {
+  const valid = {};
+  const problems = [];
+  const pointIds = new Set();
+  const isFiniteNumber = (value) =>
+    typeof value === "number" && isFinite(value);
+
+  Object.keys(groups).forEach((groupId, groupIndex) => {
+    const group = groups[groupId];
+    const groupLabel =
+      group && typeof group.name === "string"
+        ? `Group "${group.name}" (${groupId})`
+        : `Group ${groupIndex + 1} (${groupId})`;
+    if (!group || typeof group !== "object") {
+      problems.push(`${groupLabel}: not a group object`);
+      return;
+    }
+    if (!Array.isArray(group.points)) {
+      problems.push(`${groupLabel}: has no points list`);
+      return;
+    }
+
+    const points = [];
+    group.points.forEach((point, pointIndex) => {
+      const pointLabel = `${groupLabel}, point ${pointIndex + 1}${
+        point && point.name !== undefined ? ` "${point.name}"` : ""
+      }`;
+      if (!point || typeof point !== "object") {
+        problems.push(`${pointLabel}: not a point object`);
+        return;
+      }
+      const errors = ["easting", "northing", "lat", "lng"]
+        .filter((field) => !isFiniteNumber(point[field]))
+        .map((field) => `${field} is not a number`);
+      if (!coordSystems.includes(point.coordSystem)) {
+        errors.push(`unsupported coordinate system "${point.coordSystem}"`);
+      }
+      if (point.height !== undefined && !isFiniteNumber(point.height)) {
+        errors.push("height is not a number");
+      }
+      if (errors.length > 0) {
+        problems.push(`${pointLabel}: ${errors.join(", ")}`);
+        return;
+      }
+      const validPoint = {
+        ...point,
+        name: point.name !== undefined ? String(point.name) : "",
+      };
+      if (point.id !== undefined) {
+        if (
+          !Number.isInteger(point.id) ||
+          point.id <= 0 ||
+          pointIds.has(point.id)
+        ) {
+          problems.push(
+            `${pointLabel}: id left out (not a unique whole number), a new one is given`
+          );
+          delete validPoint.id;
+        } else {
+          pointIds.add(point.id);
+        }
+      }
+      if (point.code !== undefined && point.code !== null) {
+        validPoint.code = String(point.code);
+      } else {
+        delete validPoint.code;
+      }
+      if (point.attributes !== undefined) {
+        if (
+          point.attributes &&
+          typeof point.attributes === "object" &&
+          !Array.isArray(point.attributes)
+        ) {
+          validPoint.attributes = {};
+          Object.keys(point.attributes).forEach((key) => {
+            validPoint.attributes[key] = String(point.attributes[key]);
+          });
+        } else {
+          problems.push(
+            `${pointLabel}: attributes left out (not a list of fields)`
+          );
+          delete validPoint.attributes;
+        }
+      }
+      points.push(validPoint);
+    });
+
+    valid[groupId] = {
+      ...group,
+      name:
+        typeof group.name === "string" ? group.name : `Group ${groupIndex + 1}`,
+      closed: !!group.closed,
+      points,
+    };
+    if (
+      group.color !== undefined &&
+      !/^#[0-9a-f]{6}$/i.test(String(group.color))
+    ) {
+      problems.push(`${groupLabel}: color left out (not a #rrggbb colour)`);
+      delete valid[groupId].color;
+    }
+    if (group.hidden !== undefined) valid[groupId].hidden = !!group.hidden;
+    if (group.locked !== undefined) valid[groupId].locked = !!group.locked;
+    const style = validateGroupStyle(group);
+    Object.keys(GROUP_LINE_STYLE).forEach((key) => {
+      if (group[key] !== undefined && style[key] === undefined) {
+        problems.push(`${groupLabel}: ${key} left out (not a valid value)`);
+        delete valid[groupId][key];
+      }
+    });
+  });
+
+  return { groups: valid, problems };
+}
+
+// Line style fields of a group: the line width in pixels, the dash pattern
+// and the fill opacity of parcels
+const GROUP_LINE_STYLE = {
+  lineWidth: { min: 1, max: 10 },
+  lineDash: ["solid", "dashed", "dotted"],
+  fillOpacity: { min: 0, max: 1 },
+};
+
+// Read the line style fields of a group (or of a feature's properties),
+// keeping the valid ones
+function validateGroupStyle(group) {
+  const style = {};
+  const inRange = (value, { min, max }) =>
+    typeof value === "number" && value >= min && value <= max;
+  if (inRange(group.lineWidth, GROUP_LINE_STYLE.lineWidth)) {
+    style.lineWidth = group.lineWidth;
+  }
+  if (GROUP_LINE_STYLE.lineDash.includes(group.lineDash)) {
+    style.lineDash = group.lineDash;
+  }
+  if (inRange(group.fillOpacity, GROUP_LINE_STYLE.fillOpacity)) {
+    style.fillOpacity = group.fillOpacity;
+  }
+  return style;
+}
+
+// Check a code library ({ code: { description, symbol, color } }), keeping
+// the entries with a known symbol and a "#rrggbb" colour
+function validateCodeLibrary(library, symbols) {
+  const valid = {};
+  if (!library || typeof library !== "object") return valid;
+  Object.keys(library).forEach((code) => {
+    const entry = library[code];
+    if (
+      entry &&
+      symbols.includes(entry.symbol) &&
+      /^#[0-9a-f]{6}$/i.test(entry.color || "")
+    ) {
+      valid[code] = {
+        description:
+          entry.description !== undefined ? String(entry.description) : "",
+        symbol: entry.symbol,
+        color: entry.color,
+      };
+    }
+  });
+  return valid;
+}
+
+// Export functions for use in main script, or as a CommonJS module when
+// loaded in Node (see convert.js)
+const fileFormats = {
+  DELIMITERS,
+  isNumeric,
+  detectDelimiter,
+  parseDelimitedText,
+  buildDelimitedText,
+  detectHeader,
+  guessColumnMapping,
+  parseGeoJSON,
+  buildDXF,
+  parseDXF,
+  buildKML,
+  parseKML,
+  parseCoordinateText,
+  buildProjectFile,
+  migrateProjectFile,
+  validateProjectGroups,
+  validateCodeLibrary,
+  GROUP_LINE_STYLE,
+  validateGroupStyle,
+};
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = fileFormats;
+} else {
+  window.fileFormats = fileFormats;
+}
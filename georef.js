@@ -0,0 +1,156 @@
+// georef.js
+// Georeferencing of scanned images: least-squares affine and similarity fits
+// from image pixel positions to grid easting/northing, with residuals
+
+// Transformations offered for georeferencing, with the control points each
+// needs
+const IMAGE_TRANSFORMS = {
+  affine: { name: "Affine (6 parameters)", minPoints: 3 },
+  similarity: { name: "Similarity (4 parameters)", minPoints: 3 },
+};
+
+// Solve the linear least-squares problem rows · x ≈ values through the
+// normal equations; throws when the rows do not fix every unknown
+function solveLeastSquares(rows, values) {
+  const size = rows[0].length;
+  const normal = Array.from({ length: size }, () =>
+    new Array(size + 1).fill(0)
+  );
+  rows.forEach((row, index) => {
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < size; j++) normal[i][j] += row[i] * row[j];
+      normal[i][size] += row[i] * values[index];
+    }
+  });
+
+  // Gaussian elimination with partial pivoting
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(normal[row][column]) > Math.abs(normal[pivot][column])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(normal[pivot][column]) < 1e-12) {
+      throw new Error(
+        "The control points do not fix the transformation (are they in a line?)"
+      );
+    }
+    [normal[column], normal[pivot]] = [normal[pivot], normal[column]];
+    for (let row = 0; row < size; row++) {
+      if (row === column) continue;
+      const factor = normal[row][column] / normal[column][column];
+      for (let k = column; k <= size; k++) {
+        normal[row][k] -= factor * normal[column][k];
+      }
+    }
+  }
+  return normal.map((row, index) => row[size] / row[index]);
+}
+
+// Fit a transformation from image pixels (x right, y down) to grid
+// coordinates. controlPoints are { x, y, easting, northing }; the result
+// holds the coefficients of
+//   easting  = a·x + b·y + c
+//   northing = d·x + e·y + f
+// with each control point's residuals (fitted minus given) and their RMS
+function fitImageTransform(controlPoints, method = "affine") {
+  const transform = IMAGE_TRANSFORMS[method];
+  if (!transform) throw new Error(`Unknown transformation "${method}"`);
+  if (controlPoints.length < transform.minPoints) {
+    throw new Error(
+      `${transform.name} needs at least ${transform.minPoints} control points`
+    );
+  }
+
+  // Centre the pixel and grid coordinates to keep the normal equations well
+  // conditioned
+  const mean = (key) =>
+    controlPoints.reduce((sum, point) => sum + point[key], 0) /
+    controlPoints.length;
+  const x0 = mean("x");
+  const y0 = mean("y");
+  const e0 = mean("easting");
+  const n0 = mean("northing");
+  const centred = controlPoints.map((point) => ({
+    x: point.x - x0,
+    y: point.y - y0,
+    easting: point.easting - e0,
+    northing: point.northing - n0,
+  }));
+
+  let a, b, d, e;
+  if (method === "affine") {
+    const rows = centred.map(({ x, y }) => [x, y, 1]);
+    const eastingFit = solveLeastSquares(
+      rows,
+      centred.map((point) => point.easting)
+    );
+    const northingFit = solveLeastSquares(
+      rows,
+      centred.map((point) => point.northing)
+    );
+    [a, b] = eastingFit;
+    [d, e] = northingFit;
+  } else {
+    // Rotation and uniform scale, with the image y axis pointing down:
+    // easting = p·x + q·y, northing = q·x − p·y
+    const rows = [];
+    const values = [];
+    centred.forEach(({ x, y, easting, northing }) => {
+      rows.push([x, y]);
+      values.push(easting);
+      rows.push([-y, x]);
+      values.push(northing);
+    });
+    const [p, q] = solveLeastSquares(rows, values);
+    [a, b, d, e] = [p, q, q, -p];
+  }
+  const c = e0 - a * x0 - b * y0;
+  const f = n0 - d * x0 - e * y0;
+  const coefficients = { a, b, c, d, e, f };
+
+  const residuals = controlPoints.map((point) => {
+    const fitted = applyImageTransform(coefficients, point.x, point.y);
+    const dE = fitted.easting - point.easting;
+    const dN = fitted.northing - point.northing;
+    return { dE, dN, distance: Math.hypot(dE, dN) };
+  });
+  const rms = Math.sqrt(
+    residuals.reduce((sum, { distance }) => sum + distance * distance, 0) /
+      residuals.length
+  );
+
+  return {
+    method,
+    ...coefficients,
+    residuals,
+    rms,
+    // Ground size of a pixel along the image x and y axes
+    scaleX: Math.hypot(a, d),
+    scaleY: Math.hypot(b, e),
+    // Grid bearing of the image's x axis, degrees clockwise from grid north
+    rotation: ((Math.atan2(a, d) * 180) / Math.PI + 360) % 360,
+  };
+}
+
+// Grid coordinates of an image pixel position
+function applyImageTransform(transform, x, y) {
+  return {
+    easting: transform.a * x + transform.b * y + transform.c,
+    northing: transform.d * x + transform.e * y + transform.f,
+  };
+}
+
+// Export functions for use in main script, or as a CommonJS module when
+// loaded in Node
+const georef = {
+  IMAGE_TRANSFORMS,
+  fitImageTransform,
+  applyImageTransform,
+};
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = georef;
+} else {
+  window.georef = georef;
+}
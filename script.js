@@ -6,11 +6,190 @@ let markers = {};
 let polylines = {};
 let distanceLabels = {};
 
+// Last id handed out by generateId()
+let lastGeneratedId = 0;
+
+// Parsed delimited text file waiting in the CSV import dialog
+let csvImport = null;
+
+// Web Worker for batch coordinate transformations (null until first used,
+// false where it is unavailable), its pending jobs and their last id
+let transformWorker = null;
+let transformJobs = {};
+let lastTransformJobId = 0;
+
+// Validated project file waiting in the project import dialog
+let projectImport = null;
+
+// Version of the app written into exported project files
+const APP_VERSION = "2.0.0";
+
+// Group shown in the survey report dialog
+let reportGroupId = null;
+
+// Scanned plan being georeferenced or shown beneath the groups, or null:
+// { fileName, url, width, height, coordSystem, method, opacity,
+// controlPoints: [{ x, y, easting, northing, pointId }], transform }
+let georefImage = null;
+
+// Image element of the georeferenced plan on the map
+let imageOverlayElement = null;
+
+// Styles of the survey report, used in the report dialog and written into
+// the downloaded HTML page
+const REPORT_STYLES = `
+.report-page { font-family: "Segoe UI", Arial, sans-serif; color: #1a202c; font-size: 12px; }
+.report-page h1 { font-size: 20px; margin: 0 0 4px; }
+.report-page h2 { font-size: 14px; margin: 18px 0 6px; border-bottom: 1px solid #cbd5e0; padding-bottom: 3px; }
+.report-page table { width: 100%; border-collapse: collapse; }
+.report-page th, .report-page td { border: 1px solid #cbd5e0; padding: 3px 6px; text-align: left; }
+.report-page th { background: #edf2f7; }
+.report-page td.number { text-align: right; font-variant-numeric: tabular-nums; }
+.report-page .report-meta td:first-child { width: 30%; font-weight: 600; }
+.report-page .report-sketch { display: block; width: 100%; max-height: 110mm; border: 1px solid #cbd5e0; }
+.report-page .report-footer { margin-top: 18px; color: #718096; font-size: 10px; }
+.report-page h2, .report-page tr, .report-page .report-sketch { break-inside: avoid; }
+`;
+
+// Project currently open (record from storage.js) and pending save timer
+let currentProject = null;
+let saveTimer = null;
+
+// Undo / redo history: snapshots of { label, groups, currentGroup } taken
+// before each edit to the current project
+let undoStack = [];
+let redoStack = [];
+const HISTORY_LIMIT = 100;
+
+// PSD93 / UTM zones covering Oman
+const SUPPORTED_ZONES = [39, 40];
+
+// How far (degrees) imported UTM points may lie beyond their zone's edge
+const ZONE_LONGITUDE_TOLERANCE = 1;
+
+// How far (metres) a GeoJSON point's geometry may lie from its easting /
+// northing properties for those to be kept (6-decimal degrees are ~0.1 m)
+const GEOJSON_PROPERTY_TOLERANCE = 0.25;
+
+// What a click on the map does: "add" a point, only "inspect" the
+// coordinates in the cursor readout, or "measure"
+let mapClickMode = "add";
+
+// Position shown in the cursor readout, and whether an inspect click has
+// pinned it there until the next click or Esc
+let readoutLatLng = null;
+let readoutPinned = false;
+
+// Temporary measurement (not part of the project): its vertices, shaped
+// like points, whether it is closed, and the map layer drawing it
+let measurement = { points: [], closed: false };
+let measureLayer = null;
+
+// How close (pixels) a measurement click must be to a marker to snap to it
+const MEASURE_SNAP_PIXELS = 12;
+
+// Colours given to new groups in turn
+const GROUP_COLORS = [
+  "#667eea",
+  "#48bb78",
+  "#ed8936",
+  "#f56565",
+  "#9f7aea",
+  "#38b2ac",
+];
+
+// Whether markers can be dragged to move their points
+let editMode = false;
+
+// Groups list state kept across redraws: expanded groups, the point being
+// edited in its row, points ticked for move / copy and the row being dragged
+let expandedGroups = new Set();
+let editingPointId = null;
+let selectedPoints = new Set();
+let draggedPointId = null;
+
+// Pending animation frame refreshing the sidebar and Distances tab while a
+// point is dragged
+let dragRefreshFrame = null;
+
+// Distance type shown in the Distances tab, map labels and Summary
+// ("geodesic" on the WGS84 ellipsoid or "grid" on PSD93 / UTM)
+let distanceType = "geodesic";
+const DISTANCE_TYPE_LABELS = {
+  geodesic: "ellipsoidal",
+  grid: "grid",
+};
+
+// Whether the on-map segment labels also show the grid bearing
+let showBearingLabels = false;
+
+// Zoom below which no distance labels are drawn on the map
+let labelMinZoom = 12;
+
+// Most segments of one group labelled at once; denser views label only the
+// longest segments until zoomed in
+const MAX_GROUP_LABELS = 500;
+
+// How points are drawn: "pins" (DOM markers), "dots" (circle markers on one
+// canvas) or "auto" (dots once the project has more than
+// CANVAS_POINT_THRESHOLD points)
+let pointSymbols = "auto";
+const CANVAS_POINT_THRESHOLD = 1000;
+
+// Canvas renderer shared by the dot markers, and whether the markers on the
+// map are currently dots
+let pointRenderer = null;
+let markersAreDots = false;
+
+// Dash patterns of group lines (see fileFormats.GROUP_LINE_STYLE)
+const LINE_DASHES = {
+  solid: { name: "Solid", dashArray: null },
+  dashed: { name: "Dashed", dashArray: "10 8" },
+  dotted: { name: "Dotted", dashArray: "2 6" },
+};
+
+// Line style of groups that do not set their own
+const DEFAULT_GROUP_STYLE = {
+  lineWidth: 3,
+  lineDash: "solid",
+  fillOpacity: 0.2,
+};
+
+// Map legend of the shown groups, and whether it is shown
+let legendControl = null;
+let showLegend = true;
+
+// Marker symbols a feature code can be drawn with
+const CODE_SYMBOLS = {
+  circle: "Circle",
+  square: "Square",
+  triangle: "Triangle",
+  diamond: "Diamond",
+  cross: "Cross",
+};
+
+// Code library given to new projects
+const DEFAULT_CODE_LIBRARY = {
+  BM: { description: "Benchmark", symbol: "triangle", color: "#e53e3e" },
+  FENCE: { description: "Fence", symbol: "square", color: "#975a16" },
+  MH: { description: "Manhole", symbol: "circle", color: "#3182ce" },
+  TREE: { description: "Tree", symbol: "circle", color: "#38a169" },
+};
+
+// The current project's feature codes: { code: { description, symbol,
+// color } }
+let codeLibrary = {};
+
+// Code whose points the sidebar and map show: null for every point, "" for
+// points without a code
+let codeFilter = null;
+
 // Initialize the application
 document.addEventListener("DOMContentLoaded", function () {
   initializeMap();
+  populateCoordSystems();
   setupEventListeners();
-  createDefaultGroup();
+  restoreProjects();
 });
 
 // Initialize Leaflet map
@@ -44,46 +223,75 @@ function initializeMap() {
   };
   L.control.layers(baseLayers).addTo(map);
 
+  // Live cursor coordinate readout
+  map.on("mousemove", (e) => {
+    if (!readoutPinned) updateCursorReadout(e.latlng);
+  });
+
+  // Canvas for the dot markers
+  pointRenderer = L.canvas({ padding: 0.5 });
+
+  // Pane for a georeferenced image, above the tiles and beneath the groups,
+  // placed again whenever the zoom changes
+  const imagePane = map.createPane("imagePane");
+  imagePane.style.zIndex = 250;
+  imagePane.style.pointerEvents = "none";
+  map.on("zoomend viewreset", positionImageOverlay);
+
+  // Distance labels follow the view
+  map.on("moveend", refreshDistanceLabels);
+
   // Add map click handler for coordinate display and marker placement
   map.on("click", function (e) {
     const coords = e.latlng;
-    document.getElementById(
-      "coordinates"
-    ).innerHTML = `Lat: ${coords.lat.toFixed(6)}, Lng: ${coords.lng.toFixed(
-      6
-    )}`;
-
-    // Always use UTM 40N (zone 40)
-    const zone = 40;
-    const [psdLat, psdLon] = window.coordSys.wgs84ToPSD93(
-      coords.lat,
-      coords.lng
-    );
-    const utm = window.coordSys.psd93ToUTM(psdLat, psdLon, zone);
-    document.getElementById("easting").value = utm.easting
-      ? utm.easting.toFixed(3)
-      : "";
-    document.getElementById("northing").value = utm.northing
-      ? utm.northing.toFixed(3)
-      : "";
+    updateCursorReadout(coords);
+    if (mapClickMode === "inspect") {
+      setReadoutPinned(true);
+      return;
+    }
+    if (mapClickMode === "measure") {
+      const snapped = findSnapPoint(coords);
+      addMeasurePoint(
+        snapped ? L.latLng(snapped.lat, snapped.lng) : coords,
+        snapped
+      );
+      return;
+    }
+
+    // Show the position in the selected system, and add the point in the
+    // zone of the clicked longitude without changing that selection
+    document.getElementById("coordText").value = "";
+    setCoordinateInputs(getSelectedCoordSystem(), coords.lat, coords.lng);
+    updateCoordinatePreview();
     document.getElementById("pointName").value = "";
     const pointName = prompt(
       "Enter a name for this point (or leave blank for auto-naming):"
     );
     if (pointName !== null) {
       document.getElementById("pointName").value = pointName || "";
-      addPoint();
+      addPoint(coords);
     }
   });
 
   // Add scale control
   L.control.scale().addTo(map);
+
+  // Group legend, filled in by updateLegend()
+  legendControl = L.control({ position: "bottomright" });
+  legendControl.onAdd = () => {
+    const container = L.DomUtil.create("div", "map-legend");
+    L.DomEvent.disableClickPropagation(container);
+    return container;
+  };
+  legendControl.addTo(map);
 }
 
 // Setup event listeners
 function setupEventListeners() {
   // Add point button
-  document.getElementById("addPoint").addEventListener("click", addPoint);
+  document
+    .getElementById("addPoint")
+    .addEventListener("click", () => addPoint());
 
   // Create group button
   document.getElementById("createGroup").addEventListener("click", createGroup);
@@ -94,8 +302,257 @@ function setupEventListeners() {
   // Export data button
   document.getElementById("exportData").addEventListener("click", exportData);
 
-  // Import data button
+  // Import data button and project import dialog
   document.getElementById("importData").addEventListener("click", importData);
+  document
+    .getElementById("fileInput")
+    .addEventListener("change", handleProjectFile);
+  document
+    .getElementById("projectImportConfirm")
+    .addEventListener("click", runProjectImport);
+  document
+    .getElementById("projectImportCancel")
+    .addEventListener("click", closeProjectImportDialog);
+
+  // Survey report dialog
+  document.getElementById("reportPrint").addEventListener("click", printReport);
+  document
+    .getElementById("reportDownloadHTML")
+    .addEventListener("click", downloadReportHTML);
+  document
+    .getElementById("reportDownloadSVG")
+    .addEventListener("click", downloadReportSVG);
+  document
+    .getElementById("reportClose")
+    .addEventListener("click", closeReportDialog);
+
+  // Georeferenced image overlay
+  document
+    .getElementById("loadImage")
+    .addEventListener("click", () =>
+      document.getElementById("imageFileInput").click()
+    );
+  document
+    .getElementById("imageFileInput")
+    .addEventListener("change", handleImageFile);
+  document
+    .getElementById("editImageControlPoints")
+    .addEventListener("click", openGeorefDialog);
+  document.getElementById("removeImage").addEventListener("click", () => {
+    if (confirm("Remove the image overlay?")) removeImageOverlay();
+  });
+  document
+    .getElementById("imageOpacity")
+    .addEventListener("input", (e) => setImageOpacity(Number(e.target.value)));
+  document
+    .getElementById("georefCoordSystem")
+    .addEventListener("change", (e) => setGeorefCoordSystem(e.target.value));
+  document.getElementById("georefMethod").addEventListener("change", (e) => {
+    georefImage.method = e.target.value;
+    renderGeorefResult();
+  });
+  document
+    .getElementById("georefZoom")
+    .addEventListener("change", renderGeorefImage);
+  document
+    .getElementById("georefImage")
+    .addEventListener("click", addGeorefControlPoint);
+  document
+    .getElementById("georefApply")
+    .addEventListener("click", applyGeoreference);
+  document
+    .getElementById("georefClose")
+    .addEventListener("click", closeGeorefDialog);
+
+  // Feature codes: filter and library
+  document
+    .getElementById("codeFilter")
+    .addEventListener("change", (e) =>
+      setCodeFilter(JSON.parse(e.target.value))
+    );
+  document
+    .getElementById("openCodeLibrary")
+    .addEventListener("click", openCodeLibraryDialog);
+  document
+    .getElementById("codeLibraryAdd")
+    .addEventListener("click", addLibraryCode);
+  document
+    .getElementById("codeLibraryClose")
+    .addEventListener("click", closeCodeLibraryDialog);
+
+  // GeoJSON export and import
+  document
+    .getElementById("exportGeoJSON")
+    .addEventListener("click", () => exportGeoJSON());
+  document
+    .getElementById("importGeoJSON")
+    .addEventListener("click", () =>
+      document.getElementById("geojsonFileInput").click()
+    );
+  document
+    .getElementById("geojsonFileInput")
+    .addEventListener("change", handleGeoJSONFile);
+
+  // DXF export and import
+  document
+    .getElementById("exportDXF")
+    .addEventListener("click", () => exportDXF());
+  document
+    .getElementById("importDXF")
+    .addEventListener("click", () =>
+      document.getElementById("dxfFileInput").click()
+    );
+  document
+    .getElementById("dxfFileInput")
+    .addEventListener("change", handleDXFFile);
+
+  // KML export and import
+  document
+    .getElementById("exportKML")
+    .addEventListener("click", () => exportKML());
+  document
+    .getElementById("importKML")
+    .addEventListener("click", () =>
+      document.getElementById("kmlFileInput").click()
+    );
+  document
+    .getElementById("kmlFileInput")
+    .addEventListener("change", handleKMLFile);
+
+  // CSV / TXT point import
+  document
+    .getElementById("importCsv")
+    .addEventListener("click", () =>
+      document.getElementById("csvFileInput").click()
+    );
+  document
+    .getElementById("csvFileInput")
+    .addEventListener("change", handleCsvFile);
+  ["csvDelimiter", "csvHasHeader"].forEach((id) =>
+    document.getElementById(id).addEventListener("change", parseCsvImport)
+  );
+  document
+    .getElementById("csvImportConfirm")
+    .addEventListener("click", runCsvImport);
+  document
+    .getElementById("csvImportCancel")
+    .addEventListener("click", closeCsvImportDialog);
+
+  // Distance type selection
+  document
+    .getElementById("distanceType")
+    .addEventListener("change", (e) => setDistanceType(e.target.value));
+
+  // Map click mode and copying from the cursor readout
+  document
+    .getElementById("clickModeAdd")
+    .addEventListener("click", () => setMapClickMode("add"));
+  document
+    .getElementById("clickModeInspect")
+    .addEventListener("click", () => setMapClickMode("inspect"));
+  document
+    .getElementById("clickModeMeasure")
+    .addEventListener("click", () => setMapClickMode("measure"));
+
+  // Measurement tool
+  document
+    .getElementById("measureClose")
+    .addEventListener("click", toggleMeasureClosed);
+  document
+    .getElementById("measureUndo")
+    .addEventListener("click", removeLastMeasurePoint);
+  document
+    .getElementById("measureClear")
+    .addEventListener("click", clearMeasurement);
+  document
+    .getElementById("measureSave")
+    .addEventListener("click", saveMeasurementAsGroup);
+  document
+    .querySelectorAll(".readout-row")
+    .forEach((row) =>
+      row.addEventListener("click", () =>
+        copyReadoutValue(row.querySelector(".readout-value"))
+      )
+    );
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && readoutPinned) setReadoutPinned(false);
+  });
+
+  // Bearings on the map labels
+  document.getElementById("bearingLabels").addEventListener("change", (e) => {
+    showBearingLabels = e.target.checked;
+    refreshDistanceLabels();
+  });
+
+  // Zoom from which distance labels are drawn
+  document.getElementById("labelMinZoom").addEventListener("change", (e) => {
+    const zoom = parseInt(e.target.value);
+    labelMinZoom = isNaN(zoom) ? 0 : zoom;
+    refreshDistanceLabels();
+  });
+
+  // Group legend on the map
+  document.getElementById("showLegend").addEventListener("change", (e) => {
+    showLegend = e.target.checked;
+    updateLegend();
+  });
+
+  // Pins or canvas dots for the points
+  document.getElementById("pointSymbols").addEventListener("change", (e) => {
+    pointSymbols = e.target.value;
+    syncPointSymbols();
+  });
+
+  // Marker edit mode
+  document
+    .getElementById("editMode")
+    .addEventListener("change", (e) => setEditMode(e.target.checked));
+
+  // Coordinate system selection
+  document.getElementById("coordSystem").addEventListener("change", () => {
+    updateCoordinateInputs();
+    updateCoordinatePreview();
+    if (readoutLatLng) updateCursorReadout(readoutLatLng);
+  });
+
+  // Preview of the point the form will add
+  ["coordText", "easting", "northing", "height"].forEach((id) =>
+    document
+      .getElementById(id)
+      .addEventListener("input", updateCoordinatePreview)
+  );
+  document
+    .getElementById("coordText")
+    .addEventListener("keypress", function (e) {
+      if (e.key === "Enter") addPoint();
+    });
+
+  // Project switcher
+  document
+    .getElementById("projectSelect")
+    .addEventListener("change", (e) => openProject(e.target.value));
+  document
+    .getElementById("newProject")
+    .addEventListener("click", createProject);
+  document
+    .getElementById("renameProject")
+    .addEventListener("click", renameProject);
+  document
+    .getElementById("duplicateProject")
+    .addEventListener("click", duplicateProject);
+  document
+    .getElementById("deleteProject")
+    .addEventListener("click", deleteProject);
+
+  // Undo / redo buttons and keyboard shortcuts
+  document.getElementById("undo").addEventListener("click", undo);
+  document.getElementById("redo").addEventListener("click", redo);
+  document.addEventListener("keydown", handleHistoryShortcut);
+
+  // Save pending changes when the tab is hidden or closed
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") saveCurrentProject();
+  });
 
   // Enter key support for inputs
   document.getElementById("easting").addEventListener("keypress", function (e) {
@@ -108,6 +565,10 @@ function setupEventListeners() {
       if (e.key === "Enter") addPoint();
     });
 
+  document.getElementById("height").addEventListener("keypress", function (e) {
+    if (e.key === "Enter") addPoint();
+  });
+
   document
     .getElementById("pointName")
     .addEventListener("keypress", function (e) {
@@ -126,751 +587,5373 @@ function createDefaultGroup() {
   // Do nothing: no default group
 }
 
+// Populate the coordinate system dropdown from the coordsys.js registry
+function populateCoordSystems() {
+  fillCoordSystemOptions(document.getElementById("coordSystem"), "utm40");
+  updateCoordinateInputs();
+}
+
+// Fill a select element with the registered coordinate systems
+function fillCoordSystemOptions(select, selectedId) {
+  select.innerHTML = "";
+  window.coordSys.listCRS().forEach((crs) => {
+    const option = document.createElement("option");
+    option.value = crs.id;
+    option.textContent = crs.name;
+    select.appendChild(option);
+  });
+  select.value = selectedId;
+}
+
 // Get selected coordinate system
 function getSelectedCoordSystem() {
   return document.getElementById("coordSystem").value;
 }
 
-// Add a new point
-function addPoint() {
-  if (!currentGroup || !groups[currentGroup]) {
-    alert("Please create and select a group before adding points.");
-    return;
-  }
-  // Always use UTM 40N (zone 40)
-  const easting = parseFloat(document.getElementById("easting").value);
-  const northing = parseFloat(document.getElementById("northing").value);
-  const pointName =
-    document.getElementById("pointName").value ||
-    `Point ${Object.keys(markers).length + 1}`;
+// Label the coordinate inputs for the selected system (easting/northing
+// for projected systems, longitude/latitude for geographic ones)
+function updateCoordinateInputs() {
+  const projected = window.coordSys.isProjected(getSelectedCoordSystem());
+  document.getElementById("easting").placeholder = projected
+    ? "Easting"
+    : "Longitude (decimal degrees)";
+  document.getElementById("northing").placeholder = projected
+    ? "Northing"
+    : "Latitude (decimal degrees)";
+}
 
-  if (isNaN(easting) || isNaN(northing)) {
-    alert("Please enter valid coordinates");
-    return;
+// Fill the coordinate inputs with a WGS84 position in a given system
+function setCoordinateInputs(coordSystem, lat, lng) {
+  const coords = window.coordSys.transform("wgs84", coordSystem, {
+    lat,
+    lon: lng,
+  });
+  if (window.coordSys.isProjected(coordSystem)) {
+    document.getElementById("easting").value = coords.easting.toFixed(3);
+    document.getElementById("northing").value = coords.northing.toFixed(3);
+  } else {
+    document.getElementById("easting").value = coords.lon.toFixed(8);
+    document.getElementById("northing").value = coords.lat.toFixed(8);
   }
+}
 
-  const zone = 40;
-  const { lat: psdLat, lon: psdLon } = window.coordSys.utmToPSD93(
-    easting,
-    northing,
-    zone
+// Show a WGS84 position in the cursor readout: WGS84 in decimal degrees
+// and DMS, PSD93 geographic, PSD93 / UTM in the zone of the longitude and
+// the system selected under "Add Coordinates"
+function updateCursorReadout(latlng) {
+  readoutLatLng = latlng;
+  const { lat, lng } = latlng;
+  const [psd93Lat, psd93Lon] = window.coordSys.wgs84ToPSD93(lat, lng);
+  const zone = getZoneForLongitude(lng);
+  const utm = latLngToUTM(lat, lng, zone);
+
+  document.getElementById("readoutWgs84").textContent = `${lat.toFixed(
+    7
+  )}, ${lng.toFixed(7)}`;
+  document.getElementById("readoutWgs84Dms").textContent = formatLatLngDMS(
+    lat,
+    lng
   );
-  const [lat, lng] = window.coordSys.psd93ToWGS84(psdLat, psdLon);
+  document.getElementById("readoutPsd93").textContent = `${psd93Lat.toFixed(
+    7
+  )}, ${psd93Lon.toFixed(7)}`;
+  document.getElementById(
+    "readoutUtmLabel"
+  ).textContent = `PSD93 / UTM ${zone}N`;
+  document.getElementById("readoutUtm").textContent = `E ${utm.easting.toFixed(
+    3
+  )}, N ${utm.northing.toFixed(3)}`;
 
-  const point = {
-    id: Date.now(),
-    name: pointName,
-    easting: easting,
-    northing: northing,
-    lat: lat,
-    lng: lng,
-    group: currentGroup,
-    coordSystem: "utm40",
-  };
+  const coordSystem = getSelectedCoordSystem();
+  const selected = window.coordSys.transform("wgs84", coordSystem, {
+    lat,
+    lon: lng,
+  });
+  document.getElementById("readoutSelectedLabel").textContent =
+    window.coordSys.getCRS(coordSystem).name;
+  document.getElementById("readoutSelected").textContent =
+    window.coordSys.isProjected(coordSystem)
+      ? `E ${selected.easting.toFixed(3)}, N ${selected.northing.toFixed(3)}`
+      : `${selected.lat.toFixed(7)}, ${selected.lon.toFixed(7)}`;
+}
 
-  // Add to group
-  groups[currentGroup].points.push(point);
+// Hold the cursor readout on the position clicked in inspect mode, or let
+// it follow the cursor again
+function setReadoutPinned(pinned) {
+  readoutPinned = pinned;
+  document.getElementById("coordinates").classList.toggle("pinned", pinned);
+}
 
-  // Add marker to map
-  addMarkerToMap(point);
+// Format a latitude/longitude pair in DMS with hemisphere letters
+function formatLatLngDMS(lat, lng) {
+  return `${formatDMS(Math.abs(lat), 2)}${lat < 0 ? "S" : "N"} ${formatDMS(
+    Math.abs(lng),
+    2
+  )}${lng < 0 ? "W" : "E"}`;
+}
 
-  // Update calculations
-  updateCalculations();
+// Copy a readout value to the clipboard, falling back to a prompt to copy
+// from where the clipboard is unavailable
+function copyReadoutValue(valueElement) {
+  const text = valueElement.textContent;
+  if (!text) return;
+  const row = valueElement.closest(".readout-row");
+  const showCopied = () => {
+    row.classList.add("copied");
+    setTimeout(() => row.classList.remove("copied"), 1000);
+  };
 
-  // Clear inputs
-  document.getElementById("easting").value = "";
-  document.getElementById("northing").value = "";
-  document.getElementById("pointName").value = "";
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard
+      .writeText(text)
+      .then(showCopied)
+      .catch(() => prompt("Copy the coordinates:", text));
+  } else {
+    prompt("Copy the coordinates:", text);
+  }
+}
 
-  // Update groups list
-  updateGroupsList();
+// Switch between adding a point, only inspecting coordinates and measuring
+// on click. Leaving the measuring mode discards the measurement.
+function setMapClickMode(mode) {
+  mapClickMode = mode;
+  document
+    .getElementById("clickModeAdd")
+    .classList.toggle("active", mode === "add");
+  document
+    .getElementById("clickModeInspect")
+    .classList.toggle("active", mode === "inspect");
+  document
+    .getElementById("clickModeMeasure")
+    .classList.toggle("active", mode === "measure");
+  document
+    .getElementById("map")
+    .classList.toggle("inspect-mode", mode !== "add");
+  document.getElementById("measurePanel").style.display =
+    mode === "measure" ? "block" : "none";
+  if (mode !== "inspect") setReadoutPinned(false);
+  if (mode === "measure") {
+    renderMeasurement();
+  } else {
+    clearMeasurement();
+  }
 }
 
-// Add marker to map
-function addMarkerToMap(point) {
-  const marker = L.marker([point.lat, point.lng], {
-    title: point.name,
-  }).addTo(map);
+// Find the point whose marker is nearest to a clicked position, within
+// snapping distance
+function findSnapPoint(latlng) {
+  const clicked = map.latLngToContainerPoint(latlng);
+  let snapped = null;
+  let nearest = MEASURE_SNAP_PIXELS;
+  Object.keys(markers).forEach((pointId) => {
+    // Points hidden by the code filter are not snapped to
+    if (!map.hasLayer(markers[pointId])) return;
+    const distance = map
+      .latLngToContainerPoint(markers[pointId].getLatLng())
+      .distanceTo(clicked);
+    if (distance <= nearest) {
+      nearest = distance;
+      snapped = findPointById(Number(pointId));
+    }
+  });
+  return snapped;
+}
 
-  // Create popup content
-  const popupContent = `
-        <div style="text-align: center;">
-            <h4>${point.name}</h4>
-            <p><strong>Easting:</strong> ${point.easting}</p>
-            <p><strong>Northing:</strong> ${point.northing}</p>
-            <p><strong>Lat:</strong> ${point.lat.toFixed(6)}</p>
-            <p><strong>Lng:</strong> ${point.lng.toFixed(6)}</p>
-            <button onclick="removePoint('${
-              point.id
-            }')" style="background: #f56565; color: white; border: none; padding: 5px 10px; border-radius: 4px; cursor: pointer;">Remove</button>
-        </div>
-    `;
+// Add a vertex to the measurement, taking the coordinates and name of a
+// point when snapped to one
+function addMeasurePoint(latlng, snappedPoint) {
+  const resolved = snappedPoint
+    ? {
+        easting: snappedPoint.easting,
+        northing: snappedPoint.northing,
+        lat: snappedPoint.lat,
+        lng: snappedPoint.lng,
+        zone: getPointZone(snappedPoint),
+      }
+    : resolveInputCoordinates("wgs84", latlng.lng, latlng.lat);
+  measurement.points.push({
+    ...resolved,
+    name: snappedPoint
+      ? snappedPoint.name
+      : `M${measurement.points.length + 1}`,
+    coordSystem: `utm${resolved.zone}`,
+  });
+  renderMeasurement();
+}
 
-  marker.bindPopup(popupContent);
-  markers[point.id] = marker;
+// Remove the last vertex of the measurement
+function removeLastMeasurePoint() {
+  measurement.points.pop();
+  renderMeasurement();
+}
 
-  // Fit map to show all markers
-  fitMapToMarkers();
+// Switch the measurement between an open line and a closed shape
+function toggleMeasureClosed() {
+  measurement.closed = !measurement.closed;
+  renderMeasurement();
 }
 
-// Remove a point
-function removePoint(pointId) {
-  // Convert string to number if needed
-  const numericPointId = parseInt(pointId);
-  const point = findPointById(numericPointId);
-  if (!point) return;
+// Discard the measurement
+function clearMeasurement() {
+  measurement = { points: [], closed: false };
+  renderMeasurement();
+}
 
-  const group = groups[point.group];
+// Draw the measurement on the map and list its segments (length and grid
+// bearing), total length and, when closed, area in the measure panel
+function renderMeasurement() {
+  if (measureLayer) map.removeLayer(measureLayer);
+  measureLayer = L.layerGroup().addTo(map);
 
-  if (confirm(`Are you sure you want to delete the point "${point.name}"?`)) {
-    // Remove from group
-    group.points = group.points.filter((p) => p.id !== numericPointId);
+  const coordinates = measurement.points.map((point) => [point.lat, point.lng]);
+  const closed = isParcel(measurement);
+  const style = { color: "#e53e3e", weight: 2, dashArray: "6 4" };
+  if (closed) {
+    L.polygon(coordinates, { ...style, fillOpacity: 0.1 }).addTo(measureLayer);
+  } else if (coordinates.length >= 2) {
+    L.polyline(coordinates, style).addTo(measureLayer);
+  }
+  coordinates.forEach((latlng) =>
+    L.circleMarker(latlng, {
+      radius: 4,
+      color: "#e53e3e",
+      fillColor: "white",
+      fillOpacity: 1,
+      weight: 2,
+    }).addTo(measureLayer)
+  );
 
-    // Remove marker from map
-    if (markers[numericPointId]) {
-      map.removeLayer(markers[numericPointId]);
-      delete markers[numericPointId];
-    }
+  const results = document.getElementById("measureResults");
+  results.innerHTML = "";
+  let total = 0;
+  getGroupSegments(measurement).forEach(([point1, point2]) => {
+    const distance = measureDistance(point1, point2);
+    const bearing = calculateLegGeometry(point1, point2).gridBearing;
+    total += distance;
 
-    // Update calculations and groups
-    updateCalculations();
-    updateGroupsList();
-    fitMapToMarkers();
+    L.marker([(point1.lat + point2.lat) / 2, (point1.lng + point2.lng) / 2], {
+      icon: L.divIcon({
+        className: "distance-label",
+        html: `<div class="measure-label">${distance.toFixed(1)}m</div>`,
+        iconSize: [100, 20],
+        iconAnchor: [50, 10],
+      }),
+      interactive: false,
+    }).addTo(measureLayer);
 
-    // Show confirmation
-    console.log(`Point "${point.name}" removed from group "${group.name}"`);
-  }
-}
+    const row = document.createElement("div");
+    row.textContent = `${point1.name} → ${point2.name}: ${distance.toFixed(
+      2
+    )} m · ${formatBearing(bearing, 0)}`;
+    results.appendChild(row);
+  });
 
-// Find point by ID
-function findPointById(pointId) {
-  for (const groupKey in groups) {
-    const point = groups[groupKey].points.find((p) => p.id === pointId);
-    if (point) return point;
+  const summary = document.createElement("div");
+  summary.className = "measure-summary";
+  if (measurement.points.length < 2) {
+    summary.textContent =
+      "Click the map to measure (clicks near a marker snap to it)";
+  } else {
+    summary.textContent = `${closed ? "Perimeter" : "Total"}: ${total.toFixed(
+      2
+    )} m (${DISTANCE_TYPE_LABELS[distanceType]})`;
+    if (closed) {
+      const gridArea = calculateGridArea(measurement.points);
+      summary.textContent += ` · Area: ${gridArea.toFixed(2)} m² (${(
+        gridArea / 10000
+      ).toFixed(4)} ha, grid)`;
+    }
   }
-  return null;
+  results.appendChild(summary);
+
+  document.getElementById("measureClose").textContent = measurement.closed
+    ? "Open shape"
+    : "Close shape";
 }
 
-// Create a new group
-function createGroup() {
-  const groupName = document.getElementById("groupName").value.trim();
-  if (!groupName) {
-    alert("Please enter a group name");
+// Turn the measurement into a new group of the project
+function saveMeasurementAsGroup() {
+  if (measurement.points.length === 0) {
+    alert("There is nothing to save yet");
     return;
   }
+  const name = prompt(
+    "Enter a name for the new group:",
+    `Measurement ${Object.keys(groups).length + 1}`
+  );
+  if (name === null || !name.trim()) return;
 
-  const groupId = "group_" + Date.now();
-  const colors = [
-    "#667eea",
-    "#48bb78",
-    "#ed8936",
-    "#f56565",
-    "#9f7aea",
-    "#38b2ac",
-  ];
-  const color = colors[Object.keys(groups).length % colors.length];
+  recordHistory("save measurement");
+  const groupId = addGroup(name.trim());
+  const group = groups[groupId];
+  group.closed = measurement.closed;
+  measurement.points.forEach((resolved, index) => {
+    const point = buildPoint(groupId, `${name.trim()} ${index + 1}`, resolved);
+    group.points.push(point);
+    addMarkerToMap(point, false);
+  });
 
-  groups[groupId] = {
-    name: groupName,
-    points: [],
-    color: color,
+  currentGroup = groupId;
+  clearMeasurement();
+  updateCalculations(groupId);
+  updateGroupsList();
+  scheduleSave();
+}
+
+// Whether a coordinate system id is one of the PSD93 / UTM zones that
+// points are stored in
+function isPointCoordSystem(coordSystem) {
+  return SUPPORTED_ZONES.some((zone) => coordSystem === `utm${zone}`);
+}
+
+// Get the UTM zone number of a coordinate system id ("utm39" -> 39)
+function getZoneFromCoordSystem(coordSystem) {
+  const zone = parseInt(String(coordSystem || "").replace("utm", ""));
+  return SUPPORTED_ZONES.includes(zone) ? zone : 40;
+}
+
+// Get the UTM zone of a point (older exports have no coordSystem: 40N)
+function getPointZone(point) {
+  return getZoneFromCoordSystem(point.coordSystem);
+}
+
+// Pick the supported UTM zone for a WGS84 longitude (39N covers 48-54°E,
+// 40N covers 54-60°E)
+function getZoneForLongitude(lng) {
+  const zone = Math.floor((lng + 180) / 6) + 1;
+  return Math.min(
+    Math.max(zone, SUPPORTED_ZONES[0]),
+    SUPPORTED_ZONES[SUPPORTED_ZONES.length - 1]
+  );
+}
+
+// Convert WGS84 lat/lng to PSD93 / UTM easting/northing in a zone
+function latLngToUTM(lat, lng, zone, h = 0) {
+  const { easting, northing } = window.coordSys.transform(
+    "wgs84",
+    `utm${zone}`,
+    { lat, lon: lng, h }
+  );
+  return { easting, northing, zone };
+}
+
+// Convert PSD93 / UTM easting/northing in a zone to WGS84 [lat, lng]
+function utmToLatLng(easting, northing, zone, h = 0) {
+  const { lat, lon } = window.coordSys.transform(`utm${zone}`, "wgs84", {
+    easting,
+    northing,
+    h,
+  });
+  return [lat, lon];
+}
+
+// Convert input coordinates in any registered system to the WGS84 position
+// and PSD93 / UTM grid coordinates stored on a point. PSD93 / UTM input is
+// kept exactly as entered. An ellipsoidal height in the input system, when
+// known, is carried through the datum shift.
+function resolveInputCoordinates(coordSystem, x, y, h = 0) {
+  if (isPointCoordSystem(coordSystem)) {
+    const zone = getZoneFromCoordSystem(coordSystem);
+    const [lat, lng] = utmToLatLng(x, y, zone, h);
+    return { easting: x, northing: y, lat, lng, zone };
+  }
+
+  const input = window.coordSys.isProjected(coordSystem)
+    ? { easting: x, northing: y, h }
+    : { lat: y, lon: x, h };
+  const {
+    lat,
+    lon: lng,
+    h: wgs84Height,
+  } = window.coordSys.transform(coordSystem, "wgs84", input);
+  const projection = window.coordSys.getCRS(coordSystem).projection;
+  const zone =
+    projection && SUPPORTED_ZONES.includes(projection.zone)
+      ? projection.zone
+      : getZoneForLongitude(lng);
+  const utm = latLngToUTM(lat, lng, zone, wgs84Height);
+  return {
+    easting: parseFloat(utm.easting.toFixed(3)),
+    northing: parseFloat(utm.northing.toFixed(3)),
+    lat,
+    lng,
+    zone,
   };
+}
 
-  currentGroup = groupId;
-  document.getElementById("groupName").value = "";
+// Convert arrays of input coordinates in any registered system, like
+// resolveInputCoordinates(), in the transform worker. Resolves to an array
+// of { easting, northing, lat, lng, zone }; onProgress gets the fraction
+// done.
+async function resolveInputCoordinatesBatch(
+  coordSystem,
+  xs,
+  ys,
+  heights,
+  onProgress = () => {}
+) {
+  if (isPointCoordSystem(coordSystem)) {
+    const zone = getZoneFromCoordSystem(coordSystem);
+    const { lat, lon } = await transformInBackground(
+      coordSystem,
+      "wgs84",
+      { easting: xs, northing: ys, h: heights },
+      (done, total) => onProgress(done / total)
+    );
+    return Array.from(xs, (x, i) => ({
+      easting: x,
+      northing: ys[i],
+      lat: lat[i],
+      lng: lon[i],
+      zone,
+    }));
+  }
+
+  // Other systems: to WGS84, then to PSD93 / UTM in each point's zone
+  const wgs84 = await transformInBackground(
+    coordSystem,
+    "wgs84",
+    window.coordSys.isProjected(coordSystem)
+      ? { easting: xs, northing: ys, h: heights }
+      : { lat: ys, lon: xs, h: heights },
+    (done, total) => onProgress(done / total / 2)
+  );
+  const projection = window.coordSys.getCRS(coordSystem).projection;
+  const zones = Array.from(wgs84.lon, (lng) =>
+    projection && SUPPORTED_ZONES.includes(projection.zone)
+      ? projection.zone
+      : getZoneForLongitude(lng)
+  );
+  const results = new Array(xs.length);
+  let converted = 0;
+  for (const zone of SUPPORTED_ZONES) {
+    const indices = zones.flatMap((z, i) => (z === zone ? [i] : []));
+    if (indices.length === 0) continue;
+    const pick = (values) => Float64Array.from(indices, (i) => values[i]);
+    const utm = await transformInBackground(
+      "wgs84",
+      `utm${zone}`,
+      { lat: pick(wgs84.lat), lon: pick(wgs84.lon), h: pick(wgs84.h) },
+      (done) => onProgress(0.5 + (converted + done) / xs.length / 2)
+    );
+    indices.forEach((i, j) => {
+      results[i] = {
+        easting: parseFloat(utm.easting[j].toFixed(3)),
+        northing: parseFloat(utm.northing[j].toFixed(3)),
+        lat: wgs84.lat[i],
+        lng: wgs84.lon[i],
+        zone,
+      };
+    });
+    converted += indices.length;
+  }
+  return results;
+}
+
+// Convert a list of { coordSystem, x, y, h } inputs in any mix of systems,
+// one resolveInputCoordinatesBatch() per system. Resolves to the resolved
+// coordinates in input order; onProgress gets the fraction done.
+async function resolveInputCoordinatesBySystem(inputs, onProgress = () => {}) {
+  const results = new Array(inputs.length);
+  const coordSystems = [...new Set(inputs.map((input) => input.coordSystem))];
+  let converted = 0;
+  for (const coordSystem of coordSystems) {
+    const indices = inputs.flatMap((input, i) =>
+      input.coordSystem === coordSystem ? [i] : []
+    );
+    const pick = (key) => Float64Array.from(indices, (i) => inputs[i][key]);
+    const resolved = await resolveInputCoordinatesBatch(
+      coordSystem,
+      pick("x"),
+      pick("y"),
+      pick("h"),
+      (fraction) =>
+        onProgress((converted + fraction * indices.length) / inputs.length)
+    );
+    indices.forEach((i, j) => {
+      results[i] = resolved[j];
+    });
+    converted += indices.length;
+  }
+  return results;
+}
+
+// Transform arrays of coordinates between registered systems (see
+// coordSys.transformBatch) in the transform worker, reporting progress as
+// onProgress(done, total). Runs in the page instead where the worker
+// cannot be started (e.g. when the page is opened from a file).
+function transformInBackground(from, to, coords, onProgress = () => {}) {
+  const worker = getTransformWorker();
+  if (!worker) return transformInChunks(from, to, coords, onProgress);
+  return new Promise((resolve, reject) => {
+    const id = ++lastTransformJobId;
+    transformJobs[id] = { from, to, coords, onProgress, resolve, reject };
+    worker.postMessage({ id, from, to, coords });
+  });
+}
+
+// Start the transform worker on first use (null where it is unavailable)
+function getTransformWorker() {
+  if (transformWorker === null) {
+    try {
+      transformWorker = new Worker("transform-worker.js");
+      transformWorker.onmessage = handleTransformWorkerMessage;
+      transformWorker.onerror = handleTransformWorkerError;
+    } catch (error) {
+      // Pages opened from file:// may not start workers
+      transformWorker = false;
+    }
+  }
+  return transformWorker || null;
+}
+
+// Pass progress and results from the transform worker to their jobs
+function handleTransformWorkerMessage(e) {
+  const { id, done, total, result, error } = e.data;
+  const job = transformJobs[id];
+  if (!job) return;
+  if (result || error) {
+    delete transformJobs[id];
+    if (error) {
+      job.reject(new Error(error));
+    } else {
+      job.resolve(result);
+    }
+  } else {
+    job.onProgress(done, total);
+  }
+}
+
+// The worker failed to load: run its pending jobs in the page from now on
+function handleTransformWorkerError() {
+  transformWorker.terminate();
+  transformWorker = false;
+  const jobs = Object.values(transformJobs);
+  transformJobs = {};
+  jobs.forEach((job) =>
+    transformInChunks(job.from, job.to, job.coords, job.onProgress).then(
+      job.resolve,
+      job.reject
+    )
+  );
+}
+
+// Transform arrays of coordinates in the page, a chunk at a time so the
+// page stays responsive
+function transformInChunks(from, to, coords, onProgress = () => {}) {
+  return window.coordSys.transformBatchInChunks(
+    from,
+    to,
+    coords,
+    (done, total) => {
+      onProgress(done, total);
+      if (done < total) return new Promise((resolve) => setTimeout(resolve));
+    }
+  );
+}
+
+// Get a point's grid coordinates in a given zone, recomputing them from
+// lat/lng when the point is stored in the other zone
+function getPointGrid(point, zone) {
+  if (getPointZone(point) === zone) {
+    return { easting: point.easting, northing: point.northing };
+  }
+  const utm = latLngToUTM(point.lat, point.lng, zone, point.height);
+  return { easting: utm.easting, northing: utm.northing };
+}
+
+// Add a new point from the coordinate form, or at a clicked WGS84 position
+// (with the height from the form) when one is given
+function addPoint(clickedLatLng) {
+  if (!currentGroup || !groups[currentGroup]) {
+    alert("Please create and select a group before adding points.");
+    return;
+  }
+  if (!checkGroupUnlocked(currentGroup)) return;
+  const pointName =
+    document.getElementById("pointName").value ||
+    `Point ${Object.keys(markers).length + 1}`;
+
+  let resolved;
+  try {
+    if (clickedLatLng) {
+      const height = readHeightInput();
+      resolved = {
+        ...resolveInputCoordinates(
+          "wgs84",
+          clickedLatLng.lng,
+          clickedLatLng.lat,
+          height
+        ),
+        height,
+      };
+    } else {
+      resolved = readCoordinateInput();
+    }
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  const { easting, northing, lat, lng, zone, height } = resolved;
+
+  recordHistory("add point");
+  const point = buildPoint(currentGroup, pointName, {
+    easting,
+    northing,
+    lat,
+    lng,
+    zone,
+  });
+  if (height !== undefined) point.height = height;
+  // The code is kept for the next point, which is often of the same feature
+  const code = document.getElementById("pointCode").value.trim();
+  if (code) point.code = code;
+
+  // Add to group
+  groups[currentGroup].points.push(point);
+
+  // Add marker to map
+  addMarkerToMap(point);
+
+  // Update calculations
+  updateCalculations(currentGroup);
+
+  // Clear inputs
+  document.getElementById("coordText").value = "";
+  document.getElementById("easting").value = "";
+  document.getElementById("northing").value = "";
+  document.getElementById("height").value = "";
+  document.getElementById("pointName").value = "";
+  updateCoordinatePreview();
+
+  // Update groups list
   updateGroupsList();
+  scheduleSave();
 }
 
-// Update groups list display
-function updateGroupsList() {
-  const groupsList = document.getElementById("groupsList");
-  groupsList.innerHTML = "";
+// Read the coordinate form: the pasted coordinate text when there is any,
+// otherwise the easting/northing fields in the selected system. Returns
+// resolved coordinates and throws an Error describing invalid input.
+function readCoordinateInput() {
+  const height = readHeightInput();
+  const text = document.getElementById("coordText").value.trim();
+  if (text) return { ...resolveCoordinateText(text, height), height };
 
-  const groupKeys = Object.keys(groups);
-  if (groupKeys.length === 0) {
-    // Show prompt to create a group
-    const promptDiv = document.createElement("div");
-    promptDiv.className = "no-groups-prompt";
-    promptDiv.innerHTML = `<p style='text-align:center; color:#888; margin:20px 0;'>No groups yet.<br><strong>Create a group to get started!</strong></p>`;
-    groupsList.appendChild(promptDiv);
+  const x = parseFloat(document.getElementById("easting").value);
+  const y = parseFloat(document.getElementById("northing").value);
+  const coordSystem = getSelectedCoordSystem();
+  const geographic = !window.coordSys.isProjected(coordSystem);
+  if (
+    isNaN(x) ||
+    isNaN(y) ||
+    (geographic && (Math.abs(x) > 180 || Math.abs(y) > 90))
+  ) {
+    throw new Error("Please enter valid coordinates");
+  }
+  return { ...resolveInputCoordinates(coordSystem, x, y, height), height };
+}
+
+// Read the optional height field (undefined when blank); throws an Error
+// when it is not a number
+function readHeightInput() {
+  const heightText = document.getElementById("height").value.trim();
+  const height = heightText === "" ? undefined : parseFloat(heightText);
+  if (height !== undefined && isNaN(height)) {
+    throw new Error("Please enter a valid height");
+  }
+  return height;
+}
+
+// Resolve typed coordinates (WGS84 DMS / decimal degrees, WGS84 UTM or
+// MGRS) to PSD93 / UTM through their WGS84 latitude/longitude
+function resolveCoordinateText(text, height) {
+  const parsed = window.fileFormats.parseCoordinateText(text);
+  if (!parsed) {
+    throw new Error(
+      "Coordinates not recognised. Use DMS, decimal degrees, UTM or MGRS."
+    );
+  }
+
+  let position = parsed;
+  if (parsed.format !== "geographic") {
+    const utm =
+      parsed.format === "mgrs" ? window.coordSys.mgrsToUTM(parsed) : parsed;
+    position = window.coordSys.utmToWGS84(
+      utm.easting,
+      utm.northing,
+      utm.zone,
+      utm.hemisphere
+    );
+  }
+  const reason = checkImportedPosition("wgs84", position.lon);
+  if (reason) throw new Error(`These coordinates are ${reason}`);
+  return resolveInputCoordinates("wgs84", position.lon, position.lat, height);
+}
+
+// Show the PSD93 / UTM coordinates the form will add, or why it cannot
+function updateCoordinatePreview() {
+  const preview = document.getElementById("coordPreview");
+  const hasInput = ["coordText", "easting", "northing"].some(
+    (id) => document.getElementById(id).value.trim() !== ""
+  );
+  preview.classList.remove("invalid");
+  if (!hasInput) {
+    preview.textContent = "";
     return;
   }
 
-  groupKeys.forEach((groupId) => {
-    const group = groups[groupId];
-    const groupElement = document.createElement("div");
-    groupElement.className = `group-item ${
-      groupId === currentGroup ? "active" : ""
+  try {
+    const { easting, northing, zone, height } = readCoordinateInput();
+    preview.textContent = `PSD93 / UTM ${zone}N: E ${easting.toFixed(
+      3
+    )}, N ${northing.toFixed(3)}${
+      height !== undefined ? `, H ${height.toFixed(3)}` : ""
     }`;
-    groupElement.style.borderLeftColor = group.color;
-
-    // Group header
-    const header = document.createElement("div");
-    header.className = "group-header";
-
-    // Group info
-    const info = document.createElement("div");
-    info.className = "group-info";
-    const h4 = document.createElement("h4");
-    h4.textContent = group.name;
-    const p = document.createElement("p");
-    p.textContent = `${group.points.length} point${
-      group.points.length !== 1 ? "s" : ""
-    }`;
-    info.appendChild(h4);
-    info.appendChild(p);
-
-    // Group actions
-    const actions = document.createElement("div");
-    actions.className = "group-actions";
-    // Select button
-    const selectBtn = document.createElement("button");
-    selectBtn.className = "group-select-btn";
-    selectBtn.title = "Select Group";
-    selectBtn.innerHTML = '<span class="select-icon">✓</span>';
-    selectBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      selectGroup(groupId);
-    });
-    // Expand button
-    const expandBtn = document.createElement("button");
-    expandBtn.className = "group-expand-btn";
-    expandBtn.title = "Expand/Collapse";
-    expandBtn.innerHTML = '<span class="expand-icon">▼</span>';
-    expandBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      toggleGroup(groupId);
-    });
-    // Delete button
-    const deleteBtn = document.createElement("button");
-    deleteBtn.className = "group-delete-btn";
-    deleteBtn.title = "Delete Group";
-    deleteBtn.innerHTML = '<span class="delete-icon">🗑️</span>';
-    deleteBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      deleteGroup(groupId);
-    });
-    actions.appendChild(selectBtn);
-    actions.appendChild(expandBtn);
-    actions.appendChild(deleteBtn);
-
-    header.appendChild(info);
-    header.appendChild(actions);
-    header.addEventListener("click", () => toggleGroup(groupId));
-    groupElement.appendChild(header);
+  } catch (error) {
+    preview.textContent = error.message;
+    preview.classList.add("invalid");
+  }
+}
 
-    // Group content (collapsible)
-    const content = document.createElement("div");
-    content.className = "group-content";
-    content.id = `group-content-${groupId}`;
-    content.style.display = "none";
+// Build a point record for a group from resolved input coordinates
+function buildPoint(groupId, name, { easting, northing, lat, lng, zone }) {
+  return {
+    id: generateId(),
+    name: name,
+    easting: easting,
+    northing: northing,
+    lat: lat,
+    lng: lng,
+    group: groupId,
+    coordSystem: `utm${zone}`,
+  };
+}
 
-    // Points list
-    const pointsList = document.createElement("div");
-    pointsList.className = "group-points";
-    group.points.forEach((point) => {
-      const pointItem = document.createElement("div");
-      pointItem.className = "point-item";
-      pointItem.addEventListener("click", () => focusPoint(point.id));
-      // Point info
-      const pointInfo = document.createElement("div");
-      pointInfo.className = "point-info";
-      const strong = document.createElement("strong");
-      strong.textContent = point.name;
-      const coords = document.createElement("span");
-      coords.className = "point-coords";
-      coords.textContent = `E: ${point.easting}, N: ${point.northing}`;
-      pointInfo.appendChild(strong);
-      pointInfo.appendChild(coords);
-      // Remove button
-      const removeBtn = document.createElement("button");
-      removeBtn.className = "remove-point-btn";
-      removeBtn.title = "Remove Point";
-      removeBtn.textContent = "×";
-      removeBtn.addEventListener("click", (e) => {
-        e.stopPropagation();
-        removePoint(point.id);
+// Add marker to map, fitting the map to all markers unless told not to
+function addMarkerToMap(point, fitMap = true) {
+  const marker = markersAreDots
+    ? createDotMarker(point)
+    : L.marker([point.lat, point.lng], {
+        title: point.name,
+        draggable: editMode && !isGroupLocked(point.group),
+        icon: getPointIcon(point),
       });
-      pointItem.appendChild(pointInfo);
-      pointItem.appendChild(removeBtn);
-      pointsList.appendChild(pointItem);
-    });
-    content.appendChild(pointsList);
+  if (isPointShown(point)) marker.addTo(map);
 
-    // Distance calculations
-    if (group.points.length >= 2) {
-      const calcs = document.createElement("div");
-      calcs.className = "group-calculations";
-      let totalDistance = 0;
-      
-      for (let i = 0; i < group.points.length - 1; i++) {
-        totalDistance += calculateDistance(group.points[i], group.points[i + 1]);
+  marker.bindPopup(buildPopupContent(point));
+  markers[point.id] = marker;
+
+  // Markers are measuring targets in measure mode
+  marker.on("click", () => {
+    if (mapClickMode !== "measure") return;
+    marker.closePopup();
+    addMeasurePoint(marker.getLatLng(), point);
+  });
+
+  // Move the point with its marker, redrawing its group's line during the
+  // drag and updating everything when it ends
+  marker.on("dragstart", () => recordHistory("move point"));
+  marker.on("drag", (e) => movePoint(point.id, e.target.getLatLng(), true));
+  marker.on("dragend", (e) => {
+    movePoint(point.id, e.target.getLatLng());
+    scheduleSave();
+  });
+
+  // Fit map to show all markers
+  if (fitMap) fitMapToMarkers();
+}
+
+// Create a canvas circle marker for a point in its code's or group's
+// colour. Leaflet only drags DOM markers, so in edit mode the dot is moved
+// with the mouse here and fires the same drag events as a pin
+function createDotMarker(point) {
+  const marker = L.circleMarker([point.lat, point.lng], {
+    renderer: pointRenderer,
+    radius: 5,
+    color: "#ffffff",
+    weight: 1.5,
+    fillColor: getPointColor(point),
+    fillOpacity: 1,
+  }).bindTooltip(point.name);
+
+  let dragged = false;
+  marker.on("mousedown", (e) => {
+    dragged = false;
+    if (!editMode || isGroupLocked(point.group)) return;
+    L.DomEvent.stopPropagation(e.originalEvent);
+    map.dragging.disable();
+    const onMove = (moveEvent) => {
+      if (!dragged) {
+        dragged = true;
+        marker.fire("dragstart");
       }
-      
-      const distanceDiv = document.createElement("div");
-      distanceDiv.className = "calculation-summary";
-      distanceDiv.innerHTML = `<strong>Total Distance:</strong> ${totalDistance.toFixed(2)} m`;
-      calcs.appendChild(distanceDiv);
-      content.appendChild(calcs);
+      marker.setLatLng(moveEvent.latlng);
+      marker.fire("drag");
+    };
+    map.on("mousemove", onMove);
+    // The button may be released outside the map
+    document.addEventListener(
+      "mouseup",
+      () => {
+        map.off("mousemove", onMove);
+        map.dragging.enable();
+        if (!dragged) return;
+        marker.fire("dragend");
+        // Forget the drag once its click (if any, inside the map) is handled
+        setTimeout(() => {
+          dragged = false;
+        });
+      },
+      { once: true }
+    );
+  });
+
+  // The click that ends a drag does not open the popup (bound after this
+  // by addMarkerToMap(), so it is closed again as it opens)
+  marker.on("popupopen", () => {
+    if (!dragged) return;
+    dragged = false;
+    marker.closePopup();
+  });
+  return marker;
+}
+
+// Give the dots of a group their current colours
+function styleDotMarkers(groupId) {
+  const group = groups[groupId];
+  if (!markersAreDots || !group) return;
+  group.points.forEach((point) => {
+    const marker = markers[point.id];
+    const color = getPointColor(point);
+    if (marker && marker.options.fillColor !== color) {
+      marker.setStyle({ fillColor: color });
     }
+  });
+}
+
+// Library entry of a point's code, or null when the code is not in the
+// library
+function getCodeStyle(point) {
+  return point.code !== undefined &&
+    Object.prototype.hasOwnProperty.call(codeLibrary, point.code)
+    ? codeLibrary[point.code]
+    : null;
+}
 
-    groupElement.appendChild(content);
-    groupsList.appendChild(groupElement);
+// Colour of a point's dot: its code's colour, or else its group's
+function getPointColor(point) {
+  const style = getCodeStyle(point);
+  if (style) return style.color;
+  return groups[point.group] ? groups[point.group].color : "#3388ff";
+}
+
+// Pin icon of a point: its code's symbol, or else the default marker
+function getPointIcon(point) {
+  const style = getCodeStyle(point);
+  if (!style) return new L.Icon.Default();
+  return L.divIcon({
+    className: "code-marker",
+    html: buildSymbolSVG(style.symbol, style.color, 18),
+    iconSize: [18, 18],
+    iconAnchor: [9, 9],
+    popupAnchor: [0, -9],
   });
 }
 
-// Toggle group expansion
-function toggleGroup(groupId) {
-  const content = document.getElementById(`group-content-${groupId}`);
-  const expandIcon = document
-    .querySelector(`#group-content-${groupId}`)
-    .previousElementSibling.querySelector(".expand-icon");
+// SVG drawing of a code library symbol
+function buildSymbolSVG(symbol, color, size = 14) {
+  const shapes = {
+    circle: '<circle cx="8" cy="8" r="6"/>',
+    square: '<rect x="2.5" y="2.5" width="11" height="11"/>',
+    triangle: '<polygon points="8,1.5 14.5,13.5 1.5,13.5"/>',
+    diamond: '<polygon points="8,1 15,8 8,15 1,8"/>',
+    cross: '<path d="M6 1.5h4v4.5h4.5v4H10v4.5H6V10H1.5V6H6z"/>',
+  };
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 16 16"><g fill="${color}" stroke="#ffffff" stroke-width="1.5">${
+    shapes[symbol] || shapes.circle
+  }</g></svg>`;
+}
 
-  if (content.style.display === "none") {
-    content.style.display = "block";
-    expandIcon.textContent = "▲";
+// Restyle a point's marker after its code changed and show or hide it for
+// the code filter
+function refreshPointMarker(point) {
+  const marker = markers[point.id];
+  if (!marker) return;
+  if (marker.setIcon) {
+    marker.setIcon(getPointIcon(point));
   } else {
-    content.style.display = "none";
-    expandIcon.textContent = "▼";
+    marker.setStyle({ fillColor: getPointColor(point) });
   }
+  updateMarkerVisibility(point);
 }
 
-// Select a group
-function selectGroup(groupId) {
-  currentGroup = groupId;
-  updateGroupsList();
+// Switch every marker between pins and dots when the point symbols setting
+// or the number of points (counting points about to be added) calls for it
+function syncPointSymbols(pendingPoints = 0) {
+  const pointCount = Object.values(groups).reduce(
+    (count, group) => count + group.points.length,
+    pendingPoints
+  );
+  const dots =
+    pointSymbols === "dots" ||
+    (pointSymbols === "auto" && pointCount > CANVAS_POINT_THRESHOLD);
+  if (dots === markersAreDots) return;
+
+  markersAreDots = dots;
+  rebuildMarkers();
 }
 
-// Focus on a specific point (center map on it)
-function focusPoint(pointId) {
-  const point = findPointById(pointId);
-  if (point && markers[pointId]) {
-    map.setView([point.lat, point.lng], 16);
-    markers[pointId].openPopup();
+// Create every existing marker again, e.g. after the code library changed
+function rebuildMarkers() {
+  Object.values(groups).forEach((group) => {
+    group.points.forEach((point) => {
+      if (!markers[point.id]) return;
+      map.removeLayer(markers[point.id]);
+      addMarkerToMap(point, false);
+    });
+  });
+}
+
+// Whether a point passes the code filter
+function matchesCodeFilter(point) {
+  return codeFilter === null || (point.code || "") === codeFilter;
+}
+
+// Whether a point's marker belongs on the map: its group is shown and it
+// passes the code filter
+function isPointShown(point) {
+  const group = groups[point.group];
+  return !(group && group.hidden) && matchesCodeFilter(point);
+}
+
+// Put a point's marker on the map when it is shown and take it off
+// otherwise
+function updateMarkerVisibility(point) {
+  const marker = markers[point.id];
+  if (!marker) return;
+  const visible = isPointShown(point);
+  if (visible && !map.hasLayer(marker)) {
+    marker.addTo(map);
+  } else if (!visible && map.hasLayer(marker)) {
+    map.removeLayer(marker);
   }
 }
 
-// Delete a group and all its points
-function deleteGroup(groupId) {
-  const group = groups[groupId];
-  if (!group) return;
+// Show only the points with a code (null for all points, "" for points
+// without a code) in the sidebar and on the map
+function setCodeFilter(code) {
+  codeFilter = code;
+  Object.values(groups).forEach((group) =>
+    group.points.forEach(updateMarkerVisibility)
+  );
+  updateGroupsList();
+}
 
-  const groupName = group.name;
-  const pointCount = group.points.length;
+// Build popup content for a point marker
+function buildPopupContent(point) {
+  const zone = getPointZone(point);
+  const otherZone = zone === 39 ? 40 : 39;
+  const codeStyle = getCodeStyle(point);
+  return `
+        <div style="text-align: center;">
+            <h4>${escapeHtml(point.name)}</h4>
+            ${
+              point.code !== undefined
+                ? `<p><strong>Code:</strong> ${escapeHtml(point.code)}${
+                    codeStyle && codeStyle.description
+                      ? ` (${escapeHtml(codeStyle.description)})`
+                      : ""
+                  }</p>`
+                : ""
+            }
+            <p><strong>Zone:</strong> PSD93 / UTM ${zone}N</p>
+            <p><strong>Easting:</strong> ${point.easting}</p>
+            <p><strong>Northing:</strong> ${point.northing}</p>
+            ${
+              hasHeight(point)
+                ? `<p><strong>Height:</strong> ${point.height}</p>`
+                : ""
+            }
+            <p><strong>Lat:</strong> ${point.lat.toFixed(6)}</p>
+            <p><strong>Lng:</strong> ${point.lng.toFixed(6)}</p>
+            <p><strong>Scale Factor:</strong> ${window.coordSys
+              .scaleFactor(`utm${zone}`, point.lat, point.lng)
+              .toFixed(6)}</p>
+            ${Object.keys(point.attributes || {})
+              .map(
+                (key) =>
+                  `<p><strong>${escapeHtml(key)}:</strong> ${escapeHtml(
+                    point.attributes[key]
+                  )}</p>`
+              )
+              .join("")}
+            ${
+              isGroupLocked(point.group)
+                ? "<p>🔒 Locked group</p>"
+                : `<button onclick="reprojectPoint('${point.id}', ${otherZone})" style="background: #667eea; color: white; border: none; padding: 5px 10px; border-radius: 4px; cursor: pointer; margin-bottom: 5px;">Express in UTM ${otherZone}N</button>
+            <button onclick="editPointInPopup('${point.id}')" style="background: #48bb78; color: white; border: none; padding: 5px 10px; border-radius: 4px; cursor: pointer; margin-bottom: 5px;">Edit</button>
+            <button onclick="removePoint('${point.id}')" style="background: #f56565; color: white; border: none; padding: 5px 10px; border-radius: 4px; cursor: pointer;">Remove</button>`
+            }
+        </div>
+    `;
+}
 
-  if (
-    confirm(
-      `Are you sure you want to delete the group "${groupName}" with ${pointCount} point${
-        pointCount !== 1 ? "s" : ""
-      }?`
-    )
-  ) {
-    // Remove all markers for this group
-    group.points.forEach((point) => {
-      if (markers[point.id]) {
-        map.removeLayer(markers[point.id]);
-        delete markers[point.id];
-      }
-    });
+// Build popup content editing a point's name, coordinates, height, code and
+// attributes
+function buildPopupEditContent(point) {
+  const input = (field, type, value, extra = "") =>
+    `<input id="popup-${field}-${point.id}" type="${type}" value="${escapeHtml(
+      value
+    )}" ${
+      type === "number" ? 'step="0.001"' : ""
+    } ${extra} style="width: 100%; margin-bottom: 5px; padding: 4px; box-sizing: border-box;">`;
+  return `
+        <div style="text-align: center;">
+            <h4>Edit point</h4>
+            ${input("name", "text", point.name)}
+            ${input("easting", "number", point.easting)}
+            ${input("northing", "number", point.northing)}
+            ${input("height", "number", hasHeight(point) ? point.height : "")}
+            ${input(
+              "code",
+              "text",
+              point.code !== undefined ? point.code : "",
+              'list="codeLibraryCodes" placeholder="Code"'
+            )}
+            <textarea id="popup-attributes-${
+              point.id
+            }" rows="3" placeholder="Attributes, one per line: field: value" style="width: 100%; margin-bottom: 5px; padding: 4px; box-sizing: border-box;">${escapeHtml(
+    formatAttributes(point.attributes)
+  )}</textarea>
+            <p>PSD93 / UTM ${getPointZone(point)}N</p>
+            <button onclick="savePopupEdit('${
+              point.id
+            }')" style="background: #48bb78; color: white; border: none; padding: 5px 10px; border-radius: 4px; cursor: pointer;">Save</button>
+            <button onclick="cancelPopupEdit('${
+              point.id
+            }')" style="background: #a0aec0; color: white; border: none; padding: 5px 10px; border-radius: 4px; cursor: pointer;">Cancel</button>
+        </div>
+    `;
+}
 
-    // Remove polylines for this group
-    if (polylines[groupId]) {
-      map.removeLayer(polylines[groupId]);
-      delete polylines[groupId];
-    }
+// Escape text for use in popup HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
 
-    // Remove distance labels for this group
-    if (distanceLabels[groupId]) {
-      distanceLabels[groupId].forEach(label => {
-        map.removeLayer(label);
-      });
-      delete distanceLabels[groupId];
+// Switch a marker popup to the edit form
+function editPointInPopup(pointId) {
+  const numericPointId = parseInt(pointId);
+  const point = findPointById(numericPointId);
+  if (!point || !markers[numericPointId]) return;
+  markers[numericPointId].setPopupContent(buildPopupEditContent(point));
+}
+
+// Save the edit form of a marker popup
+function savePopupEdit(pointId) {
+  const field = (name) =>
+    document.getElementById(`popup-${name}-${pointId}`).value;
+  updatePoint(parseInt(pointId), {
+    name: field("name"),
+    easting: field("easting"),
+    northing: field("northing"),
+    height: field("height"),
+    code: field("code"),
+    attributes: parseAttributes(field("attributes")),
+  });
+}
+
+// Write a point's attributes as "field: value" lines
+function formatAttributes(attributes) {
+  return Object.keys(attributes || {})
+    .map((key) => `${key}: ${attributes[key]}`)
+    .join("\n");
+}
+
+// Read "field: value" lines into attributes; a line without a colon is a
+// field with an empty value
+function parseAttributes(text) {
+  const attributes = {};
+  text.split(/\r?\n/).forEach((line) => {
+    const separator = line.indexOf(":");
+    const key = (separator === -1 ? line : line.slice(0, separator)).trim();
+    if (key) {
+      attributes[key] =
+        separator === -1 ? "" : line.slice(separator + 1).trim();
     }
+  });
+  return attributes;
+}
+
+// Leave the edit form of a marker popup unchanged
+function cancelPopupEdit(pointId) {
+  const numericPointId = parseInt(pointId);
+  const point = findPointById(numericPointId);
+  if (!point || !markers[numericPointId]) return;
+  markers[numericPointId].setPopupContent(buildPopupContent(point));
+}
+
+// Change a point's name, easting/northing (in its own zone), height (blank
+// for none), code (blank for none) and attributes, moving its marker. A code
+// or attributes left undefined are kept. Returns false when the new values
+// are rejected.
+function updatePoint(
+  pointId,
+  { name, easting, northing, height = "", code, attributes }
+) {
+  const point = findPointById(pointId);
+  if (!point || !checkGroupUnlocked(point.group)) return false;
+
+  const x = parseFloat(easting);
+  const y = parseFloat(northing);
+  if (isNaN(x) || isNaN(y)) {
+    alert("Please enter valid coordinates");
+    return false;
+  }
+  const h = String(height).trim() === "" ? undefined : parseFloat(height);
+  if (h !== undefined && isNaN(h)) {
+    alert("Please enter a valid height");
+    return false;
+  }
+  const zone = getPointZone(point);
+  const [lat, lng] = utmToLatLng(x, y, zone, h);
+  const reason = checkImportedPosition(`utm${zone}`, lng);
+  if (reason) {
+    alert(`These coordinates are ${reason}`);
+    return false;
+  }
+
+  recordHistory("edit point");
+  point.name = name.trim() || point.name;
+  point.easting = x;
+  point.northing = y;
+  point.lat = lat;
+  point.lng = lng;
+  if (h === undefined) {
+    delete point.height;
+  } else {
+    point.height = h;
+  }
+  if (code !== undefined) {
+    if (code.trim()) {
+      point.code = code.trim();
+    } else {
+      delete point.code;
+    }
+  }
+  if (attributes !== undefined) {
+    if (Object.keys(attributes).length > 0) {
+      point.attributes = attributes;
+    } else {
+      delete point.attributes;
+    }
+  }
+
+  const marker = markers[pointId];
+  if (marker) {
+    marker.setLatLng([lat, lng]);
+    if (marker.getTooltip()) {
+      marker.setTooltipContent(point.name);
+    } else {
+      marker.options.title = point.name;
+      if (marker.getElement()) marker.getElement().title = point.name;
+    }
+    marker.setPopupContent(buildPopupContent(point));
+    refreshPointMarker(point);
+  }
+
+  editingPointId = null;
+  updateCalculations(point.group);
+  updateGroupsList();
+  scheduleSave();
+  return true;
+}
+
+// Move a point to another position in its group
+function reorderPoint(pointId, targetIndex) {
+  const point = findPointById(pointId);
+  if (!point || !checkGroupUnlocked(point.group)) return;
+  const group = groups[point.group];
+  const fromIndex = group.points.indexOf(point);
+  const toIndex = fromIndex < targetIndex ? targetIndex - 1 : targetIndex;
+  if (toIndex === fromIndex) {
+    updateGroupsList();
+    return;
+  }
+
+  recordHistory("reorder points");
+  group.points.splice(fromIndex, 1);
+  group.points.splice(toIndex, 0, point);
+  updateCalculations(point.group);
+  updateGroupsList();
+  scheduleSave();
+}
+
+// Insert a new point halfway (on the grid) between a point and the next
+// vertex of its group, and open it for editing
+function insertPointAfter(pointId) {
+  const point = findPointById(pointId);
+  if (!point || !checkGroupUnlocked(point.group)) return;
+  const group = groups[point.group];
+  const index = group.points.indexOf(point);
+  const next =
+    group.points[index + 1] || (isParcel(group) ? group.points[0] : null);
+  if (!next) return;
+
+  const zone = getPointZone(point);
+  const from = getPointGrid(point, zone);
+  const to = getPointGrid(next, zone);
+  const easting = parseFloat(((from.easting + to.easting) / 2).toFixed(3));
+  const northing = parseFloat(((from.northing + to.northing) / 2).toFixed(3));
+  const [lat, lng] = utmToLatLng(easting, northing, zone);
+
+  recordHistory("insert point");
+  const newPoint = buildPoint(
+    point.group,
+    `Point ${Object.keys(markers).length + 1}`,
+    { easting, northing, lat, lng, zone }
+  );
+  group.points.splice(index + 1, 0, newPoint);
+  addMarkerToMap(newPoint, false);
+
+  editingPointId = newPoint.id;
+  expandedGroups.add(point.group);
+  updateCalculations(point.group);
+  updateGroupsList();
+  scheduleSave();
+}
+
+// Move or copy a group's ticked points, in order, to the end of another group
+function transferSelectedPoints(sourceGroupId, targetGroupId, copy) {
+  const source = groups[sourceGroupId];
+  const target = groups[targetGroupId];
+  if (!source || !target) return;
+  const points = source.points.filter((point) => selectedPoints.has(point.id));
+  if (points.length === 0) return;
+  if (!copy && !checkGroupUnlocked(sourceGroupId)) return;
+  if (!checkGroupUnlocked(targetGroupId)) return;
+
+  recordHistory(copy ? "copy points" : "move points");
+  points.forEach((point) => {
+    selectedPoints.delete(point.id);
+    if (copy) {
+      const pointCopy = {
+        ...JSON.parse(JSON.stringify(point)),
+        id: generateId(),
+        group: targetGroupId,
+      };
+      target.points.push(pointCopy);
+      addMarkerToMap(pointCopy, false);
+    } else {
+      point.group = targetGroupId;
+      target.points.push(point);
+      updateMarkerVisibility(point);
+    }
+  });
+  if (!copy) {
+    source.points = source.points.filter((point) => !points.includes(point));
+  }
+
+  expandedGroups.add(targetGroupId);
+  updateCalculations(sourceGroupId);
+  updateCalculations(targetGroupId);
+  updateGroupsList();
+  scheduleSave();
+}
+
+// Re-express a point's easting/northing in another UTM zone
+function reprojectPoint(pointId, zone) {
+  const numericPointId = parseInt(pointId);
+  const point = findPointById(numericPointId);
+  if (!point || !checkGroupUnlocked(point.group)) return;
+
+  recordHistory("change point zone");
+  const utm = latLngToUTM(point.lat, point.lng, zone, point.height);
+  point.easting = parseFloat(utm.easting.toFixed(3));
+  point.northing = parseFloat(utm.northing.toFixed(3));
+  point.coordSystem = `utm${zone}`;
+
+  if (markers[numericPointId]) {
+    markers[numericPointId].setPopupContent(buildPopupContent(point));
+  }
+
+  updateCalculations(point.group);
+  updateGroupsList();
+  scheduleSave();
+}
+
+// Move a point to a WGS84 position, keeping its zone. While dragging the
+// group's line and labels follow at once and its sidebar entry and
+// Distances results once a frame; the popup and the rest are refreshed
+// when the drag ends.
+function movePoint(pointId, latlng, dragging = false) {
+  const point = findPointById(pointId);
+  if (!point) return;
+
+  const utm = latLngToUTM(
+    latlng.lat,
+    latlng.lng,
+    getPointZone(point),
+    point.height
+  );
+  point.lat = latlng.lat;
+  point.lng = latlng.lng;
+  point.easting = parseFloat(utm.easting.toFixed(3));
+  point.northing = parseFloat(utm.northing.toFixed(3));
+
+  if (dragging) {
+    updateMapDistances(point.group);
+    scheduleDragRefresh(point.group);
+    return;
+  }
+  cancelAnimationFrame(dragRefreshFrame);
+  dragRefreshFrame = null;
+  if (markers[pointId]) {
+    markers[pointId].setPopupContent(buildPopupContent(point));
+  }
+  updateCalculations(point.group);
+  updateGroupsList();
+}
+
+// Refresh a group's sidebar entry and Distances results in the next
+// animation frame, once however many drag events arrive before it
+function scheduleDragRefresh(groupId) {
+  if (dragRefreshFrame !== null) return;
+  dragRefreshFrame = requestAnimationFrame(() => {
+    dragRefreshFrame = null;
+    if (!groups[groupId]) return;
+    updateDistanceCalculations(groupId);
+    updateGroupsList(groupId);
+  });
+}
+
+// Turn marker dragging on or off
+function setEditMode(enabled) {
+  editMode = enabled;
+  Object.keys(groups).forEach(updateMarkerDragging);
+  document.getElementById("map").classList.toggle("edit-mode", enabled);
+}
+
+// Let the pins of a group be dragged in edit mode unless the group is
+// locked (dots are dragged by createDotMarker())
+function updateMarkerDragging(groupId) {
+  if (markersAreDots) return;
+  const draggable = editMode && !isGroupLocked(groupId);
+  groups[groupId].points.forEach((point) => {
+    const marker = markers[point.id];
+    if (!marker) return;
+    // Pins off the map take the option when they are added again
+    marker.options.draggable = draggable;
+    if (!marker.dragging) return;
+    if (draggable) {
+      marker.dragging.enable();
+    } else {
+      marker.dragging.disable();
+    }
+  });
+}
+
+// Remove a point
+function removePoint(pointId) {
+  // Convert string to number if needed
+  const numericPointId = parseInt(pointId);
+  const point = findPointById(numericPointId);
+  if (!point || !checkGroupUnlocked(point.group)) return;
+
+  const group = groups[point.group];
+
+  if (confirm(`Are you sure you want to delete the point "${point.name}"?`)) {
+    recordHistory("remove point");
+
+    // Remove from group
+    group.points = group.points.filter((p) => p.id !== numericPointId);
+    selectedPoints.delete(numericPointId);
+
+    // Remove marker from map
+    if (markers[numericPointId]) {
+      map.removeLayer(markers[numericPointId]);
+      delete markers[numericPointId];
+    }
+
+    // Update calculations and groups
+    updateCalculations(point.group);
+    updateGroupsList();
+    scheduleSave();
+    fitMapToMarkers();
+
+    // Show confirmation
+    console.log(`Point "${point.name}" removed from group "${group.name}"`);
+  }
+}
+
+// Find point by ID
+function findPointById(pointId) {
+  for (const groupKey in groups) {
+    const point = groups[groupKey].points.find((p) => p.id === pointId);
+    if (point) return point;
+  }
+  return null;
+}
+
+// Create a new group
+function createGroup() {
+  const groupName = document.getElementById("groupName").value.trim();
+  if (!groupName) {
+    alert("Please enter a group name");
+    return;
+  }
+
+  recordHistory("create group");
+  currentGroup = addGroup(groupName);
+  document.getElementById("groupName").value = "";
+  updateGroupsList();
+  scheduleSave();
+}
+
+// Add an empty group with the next colour and return its id
+function addGroup(groupName) {
+  const groupId = "group_" + generateId();
+  const color = GROUP_COLORS[Object.keys(groups).length % GROUP_COLORS.length];
+
+  groups[groupId] = {
+    name: groupName,
+    points: [],
+    color: color,
+  };
+
+  return groupId;
+}
+
+// Generate a unique numeric id based on the current time
+function generateId() {
+  lastGeneratedId = Math.max(Date.now(), lastGeneratedId + 1);
+  return lastGeneratedId;
+}
+
+// Update groups list display, for one group's entry or (without a group
+// id) the whole list
+function updateGroupsList(groupId) {
+  const groupsList = document.getElementById("groupsList");
+  if (groupId !== undefined) {
+    const existing = Array.from(groupsList.children).find(
+      (element) => element.dataset.groupId === groupId
+    );
+    if (existing && groups[groupId]) {
+      existing.replaceWith(buildGroupItem(groupId));
+      return;
+    }
+  }
+
+  groupsList.innerHTML = "";
+  updateCodeFilterOptions();
+  updateLegend();
+
+  const groupKeys = Object.keys(groups);
+  if (groupKeys.length === 0) {
+    // Show prompt to create a group
+    const promptDiv = document.createElement("div");
+    promptDiv.className = "no-groups-prompt";
+    promptDiv.innerHTML = `<p style='text-align:center; color:#888; margin:20px 0;'>No groups yet.<br><strong>Create a group to get started!</strong></p>`;
+    groupsList.appendChild(promptDiv);
+    return;
+  }
+
+  groupKeys.forEach((groupId) =>
+    groupsList.appendChild(buildGroupItem(groupId))
+  );
+}
+
+// Build a group's entry in the groups list: header with its actions, and
+// the collapsible points, style, calculations and exports
+function buildGroupItem(groupId) {
+  const group = groups[groupId];
+  const groupElement = document.createElement("div");
+  groupElement.className = `group-item ${
+    groupId === currentGroup ? "active" : ""
+  } ${group.hidden ? "hidden-group" : ""}`;
+  groupElement.dataset.groupId = groupId;
+  groupElement.style.borderLeftColor = group.color;
+
+  // Group header
+  const header = document.createElement("div");
+  header.className = "group-header";
+
+  // Group info
+  const info = document.createElement("div");
+  info.className = "group-info";
+  const h4 = document.createElement("h4");
+  h4.textContent = `${group.locked ? "🔒 " : ""}${group.name}`;
+  const p = document.createElement("p");
+  p.textContent = `${
+    codeFilter !== null
+      ? `${group.points.filter(matchesCodeFilter).length} of `
+      : ""
+  }${group.points.length} point${group.points.length !== 1 ? "s" : ""}`;
+  info.appendChild(h4);
+  info.appendChild(p);
+
+  // Group actions
+  const actions = document.createElement("div");
+  actions.className = "group-actions";
+  // Select button
+  const selectBtn = document.createElement("button");
+  selectBtn.className = "group-select-btn";
+  selectBtn.title = "Select Group";
+  selectBtn.innerHTML = '<span class="select-icon">✓</span>';
+  selectBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    selectGroup(groupId);
+  });
+  // Line/parcel mode button
+  const modeBtn = document.createElement("button");
+  modeBtn.className = `group-mode-btn ${group.closed ? "closed" : ""}`;
+  modeBtn.title = group.closed
+    ? "Closed parcel (click for open line)"
+    : "Open line (click for closed parcel)";
+  modeBtn.innerHTML = `<span class="mode-icon">${
+    group.closed ? "⬠" : "〰"
+  }</span>`;
+  modeBtn.disabled = !!group.locked;
+  modeBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    toggleGroupMode(groupId);
+  });
+  // Show / hide button
+  const visibilityBtn = document.createElement("button");
+  visibilityBtn.className = `group-visibility-btn ${group.hidden ? "off" : ""}`;
+  visibilityBtn.title = group.hidden
+    ? "Hidden (click to show on the map)"
+    : "Shown (click to hide from the map)";
+  visibilityBtn.innerHTML = '<span class="visibility-icon">👁</span>';
+  visibilityBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    toggleGroupVisibility(groupId);
+  });
+  // Lock button
+  const lockBtn = document.createElement("button");
+  lockBtn.className = `group-lock-btn ${group.locked ? "locked" : ""}`;
+  lockBtn.title = group.locked
+    ? "Locked (click to allow edits)"
+    : "Unlocked (click to prevent edits)";
+  lockBtn.innerHTML = `<span class="lock-icon">${
+    group.locked ? "🔒" : "🔓"
+  }</span>`;
+  lockBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    toggleGroupLock(groupId);
+  });
+  // Rename button
+  const renameBtn = document.createElement("button");
+  renameBtn.className = "group-rename-btn";
+  renameBtn.title = "Rename Group";
+  renameBtn.innerHTML = '<span class="rename-icon">✎</span>';
+  renameBtn.disabled = !!group.locked;
+  renameBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    renameGroup(groupId);
+  });
+  // Expand button
+  const expandBtn = document.createElement("button");
+  expandBtn.className = "group-expand-btn";
+  expandBtn.title = "Expand/Collapse";
+  expandBtn.innerHTML = '<span class="expand-icon">▼</span>';
+  expandBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    toggleGroup(groupId);
+  });
+  // Delete button
+  const deleteBtn = document.createElement("button");
+  deleteBtn.className = "group-delete-btn";
+  deleteBtn.title = "Delete Group";
+  deleteBtn.innerHTML = '<span class="delete-icon">🗑️</span>';
+  deleteBtn.disabled = !!group.locked;
+  deleteBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    deleteGroup(groupId);
+  });
+  actions.appendChild(selectBtn);
+  actions.appendChild(visibilityBtn);
+  actions.appendChild(lockBtn);
+  actions.appendChild(renameBtn);
+  actions.appendChild(modeBtn);
+  actions.appendChild(expandBtn);
+  actions.appendChild(deleteBtn);
+
+  header.appendChild(info);
+  header.appendChild(actions);
+  header.addEventListener("click", () => toggleGroup(groupId));
+  groupElement.appendChild(header);
+
+  // Group content (collapsible)
+  const content = document.createElement("div");
+  content.className = "group-content";
+  content.id = `group-content-${groupId}`;
+  content.style.display = expandedGroups.has(groupId) ? "block" : "none";
+  if (expandedGroups.has(groupId)) {
+    expandBtn.querySelector(".expand-icon").textContent = "▲";
+  }
+
+  // Points list
+  const pointsList = document.createElement("div");
+  pointsList.className = "group-points";
+  group.points.forEach((point, index) => {
+    if (!matchesCodeFilter(point)) return;
+    pointsList.appendChild(
+      point.id === editingPointId
+        ? buildPointEditRow(point)
+        : buildPointRow(groupId, point, index)
+    );
+  });
+  content.appendChild(pointsList);
+
+  // Colour and line style
+  content.appendChild(buildGroupStyleControls(groupId));
+
+  // Move / copy ticked points to another group
+  if (group.points.some((point) => selectedPoints.has(point.id))) {
+    content.appendChild(buildPointTransferBar(groupId));
+  }
+
+  // Distance calculations
+  if (group.points.length >= 2) {
+    const calcs = document.createElement("div");
+    calcs.className = "group-calculations";
+    const totalDistance = calculateGroupLength(group);
+
+    const distanceDiv = document.createElement("div");
+    distanceDiv.className = "calculation-summary";
+    distanceDiv.innerHTML = isParcel(group)
+      ? `<strong>Perimeter:</strong> ${totalDistance.toFixed(2)} m`
+      : `<strong>Total Distance:</strong> ${totalDistance.toFixed(2)} m`;
+    calcs.appendChild(distanceDiv);
+
+    // Area for closed parcels
+    if (isParcel(group)) {
+      const gridArea = calculateGridArea(group.points);
+      const ellipsoidalArea = calculateEllipsoidalArea(group.points);
+      const areaDiv = document.createElement("div");
+      areaDiv.className = "calculation-summary";
+      areaDiv.innerHTML = `<strong>Grid Area:</strong> ${gridArea.toFixed(
+        2
+      )} m² (${(gridArea / 10000).toFixed(
+        4
+      )} ha)<br><strong>Ellipsoidal Area:</strong> ${ellipsoidalArea.toFixed(
+        2
+      )} m²`;
+      calcs.appendChild(areaDiv);
+    }
+    content.appendChild(calcs);
+  }
+
+  // Elevation profile from the point heights
+  const profile = buildElevationProfile(group);
+  if (profile) content.appendChild(profile);
+
+  // Group export actions
+  const exportActions = document.createElement("div");
+  exportActions.className = "group-export-actions";
+  const geojsonBtn = document.createElement("button");
+  geojsonBtn.textContent = "GeoJSON";
+  geojsonBtn.title = "Export this group as GeoJSON";
+  geojsonBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    exportGeoJSON(groupId);
+  });
+  const dxfBtn = document.createElement("button");
+  dxfBtn.textContent = "DXF";
+  dxfBtn.title = "Export this group as DXF";
+  dxfBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    exportDXF(groupId);
+  });
+  const kmlBtn = document.createElement("button");
+  kmlBtn.textContent = "KML";
+  kmlBtn.title = "Export this group as KML for Google Earth";
+  kmlBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    exportKML(groupId);
+  });
+  const traverseBtn = document.createElement("button");
+  traverseBtn.textContent = "Traverse";
+  traverseBtn.title = "Export this group's legs as a traverse table (CSV)";
+  traverseBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    exportTraverse(groupId);
+  });
+  exportActions.appendChild(geojsonBtn);
+  exportActions.appendChild(dxfBtn);
+  exportActions.appendChild(kmlBtn);
+  const reportBtn = document.createElement("button");
+  reportBtn.textContent = "Report";
+  reportBtn.title = "Printable survey report with sketch and tables";
+  reportBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    openReport(groupId);
+  });
+  exportActions.appendChild(traverseBtn);
+  exportActions.appendChild(reportBtn);
+  content.appendChild(exportActions);
+
+  groupElement.appendChild(content);
+  return groupElement;
+}
+
+// Build a row of the points list: tick box, name and coordinates, and
+// edit / insert / remove buttons. Rows can be dragged to reorder the group.
+function buildPointRow(groupId, point, index) {
+  const group = groups[groupId];
+  const pointItem = document.createElement("div");
+  pointItem.className = "point-item";
+  pointItem.draggable = !group.locked;
+  pointItem.addEventListener("click", () => focusPoint(point.id));
+
+  // Drag and drop reordering within the group
+  pointItem.addEventListener("dragstart", (e) => {
+    draggedPointId = point.id;
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", String(point.id));
+  });
+  pointItem.addEventListener("dragend", () => {
+    draggedPointId = null;
+  });
+  pointItem.addEventListener("dragover", (e) => {
+    const dragged = findPointById(draggedPointId);
+    if (!dragged || dragged.group !== groupId) return;
+    e.preventDefault();
+    const after = isDropAfter(pointItem, e);
+    pointItem.classList.toggle("drop-before", !after);
+    pointItem.classList.toggle("drop-after", after);
+  });
+  pointItem.addEventListener("dragleave", () => {
+    pointItem.classList.remove("drop-before", "drop-after");
+  });
+  pointItem.addEventListener("drop", (e) => {
+    e.preventDefault();
+    const pointId = draggedPointId;
+    draggedPointId = null;
+    reorderPoint(pointId, isDropAfter(pointItem, e) ? index + 1 : index);
+  });
+
+  // Tick box for moving / copying
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.className = "point-select";
+  checkbox.title = "Select for move / copy";
+  checkbox.checked = selectedPoints.has(point.id);
+  checkbox.addEventListener("click", (e) => e.stopPropagation());
+  checkbox.addEventListener("change", () => {
+    if (checkbox.checked) {
+      selectedPoints.add(point.id);
+    } else {
+      selectedPoints.delete(point.id);
+    }
+    updateGroupsList();
+  });
+
+  // Point info
+  const pointInfo = document.createElement("div");
+  pointInfo.className = "point-info";
+  const strong = document.createElement("strong");
+  strong.textContent = point.name;
+  const coords = document.createElement("span");
+  coords.className = "point-coords";
+  coords.textContent = `E: ${point.easting}, N: ${point.northing}${
+    hasHeight(point) ? `, H: ${point.height}` : ""
+  } (${getPointZone(point)}N)`;
+  pointInfo.appendChild(strong);
+  if (point.code !== undefined) {
+    const code = document.createElement("span");
+    code.className = "point-code";
+    const style = getCodeStyle(point);
+    if (style) code.innerHTML = buildSymbolSVG(style.symbol, style.color, 12);
+    code.appendChild(document.createTextNode(point.code));
+    if (style && style.description) code.title = style.description;
+    pointInfo.appendChild(code);
+  }
+  pointInfo.appendChild(coords);
+
+  // Point actions (none in locked groups)
+  const pointActions = document.createElement("div");
+  pointActions.className = "point-actions";
+  pointItem.appendChild(checkbox);
+  pointItem.appendChild(pointInfo);
+  pointItem.appendChild(pointActions);
+  if (group.locked) return pointItem;
+  const editBtn = document.createElement("button");
+  editBtn.className = "edit-point-btn";
+  editBtn.title = "Edit Point";
+  editBtn.textContent = "✎";
+  editBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    editingPointId = point.id;
+    updateGroupsList();
+  });
+  pointActions.appendChild(editBtn);
+  if (index < group.points.length - 1 || isParcel(group)) {
+    const insertBtn = document.createElement("button");
+    insertBtn.className = "insert-point-btn";
+    insertBtn.title = "Insert a point after this one";
+    insertBtn.textContent = "+";
+    insertBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      insertPointAfter(point.id);
+    });
+    pointActions.appendChild(insertBtn);
+  }
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "remove-point-btn";
+  removeBtn.title = "Remove Point";
+  removeBtn.textContent = "×";
+  removeBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    removePoint(point.id);
+  });
+  pointActions.appendChild(removeBtn);
+  return pointItem;
+}
+
+// Whether a drag is over the lower half of a row
+function isDropAfter(row, e) {
+  const rect = row.getBoundingClientRect();
+  return e.clientY > rect.top + rect.height / 2;
+}
+
+// Build the inline form editing a point's name, easting, northing, height
+// and code
+function buildPointEditRow(point) {
+  const form = document.createElement("form");
+  form.className = "point-item point-edit";
+  form.addEventListener("click", (e) => e.stopPropagation());
+
+  const fields = {};
+  [
+    ["name", "text", point.name],
+    ["easting", "number", point.easting],
+    ["northing", "number", point.northing],
+    ["height", "number", hasHeight(point) ? point.height : ""],
+    ["code", "text", point.code !== undefined ? point.code : ""],
+  ].forEach(([field, type, value]) => {
+    const input = document.createElement("input");
+    input.type = type;
+    input.value = value;
+    input.placeholder = field.charAt(0).toUpperCase() + field.slice(1);
+    if (type === "number") input.step = "0.001";
+    if (field === "code") input.setAttribute("list", "codeLibraryCodes");
+    fields[field] = input;
+    form.appendChild(input);
+  });
+
+  const zone = document.createElement("span");
+  zone.className = "point-coords";
+  zone.textContent = `PSD93 / UTM ${getPointZone(point)}N`;
+  form.appendChild(zone);
+
+  const formActions = document.createElement("div");
+  formActions.className = "point-edit-actions";
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "submit";
+  saveBtn.textContent = "Save";
+  const cancelBtn = document.createElement("button");
+  cancelBtn.type = "button";
+  cancelBtn.textContent = "Cancel";
+  cancelBtn.addEventListener("click", () => {
+    editingPointId = null;
+    updateGroupsList();
+  });
+  formActions.appendChild(saveBtn);
+  formActions.appendChild(cancelBtn);
+  form.appendChild(formActions);
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    updatePoint(point.id, {
+      name: fields.name.value,
+      easting: fields.easting.value,
+      northing: fields.northing.value,
+      height: fields.height.value,
+      code: fields.code.value,
+    });
+  });
+  form.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") cancelBtn.click();
+  });
+  setTimeout(() => fields.name.focus(), 0);
+  return form;
+}
+
+// Build the bar moving or copying a group's ticked points to another group
+function buildPointTransferBar(groupId) {
+  const count = groups[groupId].points.filter((point) =>
+    selectedPoints.has(point.id)
+  ).length;
+  const bar = document.createElement("div");
+  bar.className = "point-transfer";
+  bar.addEventListener("click", (e) => e.stopPropagation());
+
+  const label = document.createElement("span");
+  label.textContent = `${count} selected →`;
+  bar.appendChild(label);
+
+  const otherGroups = Object.keys(groups).filter(
+    (id) => id !== groupId && !isGroupLocked(id)
+  );
+  if (otherGroups.length === 0) {
+    label.textContent = `${count} selected (create another unlocked group to move or copy them)`;
+    return bar;
+  }
+
+  const select = document.createElement("select");
+  otherGroups.forEach((id) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = groups[id].name;
+    select.appendChild(option);
+  });
+  bar.appendChild(select);
+
+  [
+    ["Move", false],
+    ["Copy", true],
+  ].forEach(([text, copy]) => {
+    const button = document.createElement("button");
+    button.textContent = text;
+    button.disabled = !copy && isGroupLocked(groupId);
+    button.addEventListener("click", () =>
+      transferSelectedPoints(groupId, select.value, copy)
+    );
+    bar.appendChild(button);
+  });
+  return bar;
+}
+
+// Toggle group expansion
+function toggleGroup(groupId) {
+  if (expandedGroups.has(groupId)) {
+    expandedGroups.delete(groupId);
+  } else {
+    expandedGroups.add(groupId);
+  }
+
+  const content = document.getElementById(`group-content-${groupId}`);
+  const expandIcon = document
+    .querySelector(`#group-content-${groupId}`)
+    .previousElementSibling.querySelector(".expand-icon");
+
+  if (content.style.display === "none") {
+    content.style.display = "block";
+    expandIcon.textContent = "▲";
+  } else {
+    content.style.display = "none";
+    expandIcon.textContent = "▼";
+  }
+}
+
+// Switch a group between open line and closed parcel mode
+function toggleGroupMode(groupId) {
+  const group = groups[groupId];
+  if (!group || !checkGroupUnlocked(groupId)) return;
+
+  recordHistory(group.closed ? "open group" : "close parcel");
+  group.closed = !group.closed;
+  updateCalculations(groupId);
+  updateGroupsList();
+  scheduleSave();
+}
+
+// Whether a group is locked against changes to its points and shape
+function isGroupLocked(groupId) {
+  return !!(groups[groupId] && groups[groupId].locked);
+}
+
+// Check that a group may be changed, telling the user when it is locked
+function checkGroupUnlocked(groupId) {
+  if (!isGroupLocked(groupId)) return true;
+  alert(`The group "${groups[groupId].name}" is locked. Unlock it first.`);
+  return false;
+}
+
+// Show or hide a group's points, line and labels on the map
+function toggleGroupVisibility(groupId) {
+  const group = groups[groupId];
+  if (!group) return;
+
+  group.hidden = !group.hidden;
+  group.points.forEach(updateMarkerVisibility);
+  updateMapDistances(groupId);
+  updateGroupsList();
+  scheduleSave();
+}
+
+// Lock a group against edits, or unlock it
+function toggleGroupLock(groupId) {
+  const group = groups[groupId];
+  if (!group) return;
+
+  recordHistory(group.locked ? "unlock group" : "lock group");
+  group.locked = !group.locked;
+  group.points.forEach((point) => {
+    if (markers[point.id]) {
+      markers[point.id].setPopupContent(buildPopupContent(point));
+    }
+  });
+  updateMarkerDragging(groupId);
+  // Close a point form left open in the group
+  if (group.points.some((point) => point.id === editingPointId)) {
+    editingPointId = null;
+  }
+  updateGroupsList();
+  scheduleSave();
+}
+
+// Give a group a new name
+function renameGroup(groupId) {
+  const group = groups[groupId];
+  if (!group || !checkGroupUnlocked(groupId)) return;
+  const name = prompt("Enter a new name for the group:", group.name);
+  if (name === null || !name.trim() || name.trim() === group.name) return;
+
+  recordHistory("rename group");
+  group.name = name.trim();
+  updateCalculations(groupId);
+  updateGroupsList();
+  scheduleSave();
+}
+
+// Line style of a group, with the defaults for what it does not set
+function getGroupStyle(group) {
+  const style = { ...DEFAULT_GROUP_STYLE };
+  Object.keys(style).forEach((key) => {
+    if (group[key] !== undefined) style[key] = group[key];
+  });
+  return style;
+}
+
+// Change a group's colour or line style ({ color, lineWidth, lineDash,
+// fillOpacity }) and redraw it
+function setGroupStyle(groupId, changes) {
+  const group = groups[groupId];
+  if (!group) return;
+  if (!checkGroupUnlocked(groupId)) {
+    // Put the inputs back to the group's style
+    updateGroupsList();
+    return;
+  }
+
+  recordHistory("style group");
+  Object.assign(group, changes);
+  updateCalculations(groupId);
+  updateGroupsList();
+  scheduleSave();
+}
+
+// Build the colour and line style inputs of an expanded group
+function buildGroupStyleControls(groupId) {
+  const group = groups[groupId];
+  const style = getGroupStyle(group);
+  const controls = document.createElement("div");
+  controls.className = "group-style";
+  controls.addEventListener("click", (e) => e.stopPropagation());
+  const addControl = (labelText, input, key, readValue) => {
+    const label = document.createElement("label");
+    label.textContent = labelText;
+    label.appendChild(input);
+    input.disabled = isGroupLocked(groupId);
+    input.addEventListener("change", () =>
+      setGroupStyle(groupId, { [key]: readValue(input.value) })
+    );
+    controls.appendChild(label);
+  };
+
+  const colorInput = document.createElement("input");
+  colorInput.type = "color";
+  colorInput.value = group.color;
+  addControl("Colour", colorInput, "color", (value) => value);
+
+  const { lineWidth, fillOpacity } = window.fileFormats.GROUP_LINE_STYLE;
+  const widthInput = document.createElement("input");
+  widthInput.type = "number";
+  widthInput.min = lineWidth.min;
+  widthInput.max = lineWidth.max;
+  widthInput.value = style.lineWidth;
+  addControl("Width", widthInput, "lineWidth", (value) =>
+    Math.min(lineWidth.max, Math.max(lineWidth.min, Number(value) || 1))
+  );
+
+  const dashSelect = document.createElement("select");
+  Object.keys(LINE_DASHES).forEach((dash) => {
+    const option = document.createElement("option");
+    option.value = dash;
+    option.textContent = LINE_DASHES[dash].name;
+    dashSelect.appendChild(option);
+  });
+  dashSelect.value = style.lineDash;
+  addControl("Line", dashSelect, "lineDash", (value) => value);
+
+  if (isParcel(group)) {
+    const opacityInput = document.createElement("input");
+    opacityInput.type = "range";
+    opacityInput.min = fillOpacity.min;
+    opacityInput.max = fillOpacity.max;
+    opacityInput.step = "0.05";
+    opacityInput.value = style.fillOpacity;
+    addControl("Fill", opacityInput, "fillOpacity", Number);
+  }
+  return controls;
+}
+
+// List the shown groups on the map legend, each with a sample of its line
+function updateLegend() {
+  if (!legendControl) return;
+  const legend = legendControl.getContainer();
+  legend.innerHTML = "";
+  const shownGroups = Object.values(groups).filter(
+    (group) => !group.hidden && group.points.length > 0
+  );
+  legend.style.display = showLegend && shownGroups.length > 0 ? "" : "none";
+
+  shownGroups.forEach((group) => {
+    const row = document.createElement("div");
+    row.className = "legend-row";
+    row.innerHTML = buildLegendSwatch(group);
+    const name = document.createElement("span");
+    name.textContent = group.name;
+    row.appendChild(name);
+    legend.appendChild(row);
+  });
+}
+
+// SVG sample of a group's line, or of its outline and fill for parcels
+function buildLegendSwatch(group) {
+  const style = getGroupStyle(group);
+  const dashArray = LINE_DASHES[style.lineDash].dashArray;
+  const stroke = `stroke="${group.color}" stroke-width="${Math.min(
+    style.lineWidth,
+    6
+  )}" stroke-opacity="0.8"${
+    dashArray ? ` stroke-dasharray="${dashArray}"` : ""
+  }`;
+  const shape = isParcel(group)
+    ? `<rect x="3" y="3" width="24" height="12" fill="${group.color}" fill-opacity="${style.fillOpacity}" ${stroke}/>`
+    : `<line x1="2" y1="9" x2="28" y2="9" ${stroke}/>`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="30" height="18" viewBox="0 0 30 18">${shape}</svg>`;
+}
+
+// Select a group
+function selectGroup(groupId) {
+  currentGroup = groupId;
+  updateGroupsList();
+  scheduleSave();
+}
+
+// Focus on a specific point (center map on it)
+function focusPoint(pointId) {
+  const point = findPointById(pointId);
+  if (point && markers[pointId]) {
+    map.setView([point.lat, point.lng], 16);
+    markers[pointId].openPopup();
+  }
+}
+
+// Delete a group and all its points
+function deleteGroup(groupId) {
+  const group = groups[groupId];
+  if (!group || !checkGroupUnlocked(groupId)) return;
+
+  const groupName = group.name;
+  const pointCount = group.points.length;
+
+  if (
+    confirm(
+      `Are you sure you want to delete the group "${groupName}" with ${pointCount} point${
+        pointCount !== 1 ? "s" : ""
+      }?`
+    )
+  ) {
+    recordHistory("delete group");
+
+    // Remove all markers for this group
+    group.points.forEach((point) => {
+      if (markers[point.id]) {
+        map.removeLayer(markers[point.id]);
+        delete markers[point.id];
+      }
+    });
+
+    // Remove the group's line and distance labels
+    removeGroupLayers(groupId);
+
+    // Remove the group
+    delete groups[groupId];
+
+    // If this was the current group, select the first available group
+    if (currentGroup === groupId) {
+      const remainingGroups = Object.keys(groups);
+      currentGroup = remainingGroups.length > 0 ? remainingGroups[0] : null;
+    }
+
+    // Update calculations and groups list
+    updateCalculations(groupId);
+    updateGroupsList();
+    scheduleSave();
+    fitMapToMarkers();
+
+    console.log(`Group "${groupName}" with ${pointCount} points deleted`);
+  }
+}
+
+// Switch between calculation tabs
+function switchTab(tabName) {
+  // Remove active class from all tabs and content
+  document
+    .querySelectorAll(".tab-btn")
+    .forEach((btn) => btn.classList.remove("active"));
+  document
+    .querySelectorAll(".tab-content")
+    .forEach((content) => content.classList.remove("active"));
+
+  // Add active class to selected tab and content
+  document
+    .querySelector(`[onclick="switchTab('${tabName}')"]`)
+    .classList.add("active");
+  document
+    .getElementById(
+      tabName === "distances"
+        ? "distanceResults"
+        : tabName === "summary"
+        ? "summaryResults"
+        : "distanceResults"
+    )
+    .classList.add("active");
+
+  // Update summary if switching to summary tab
+  if (tabName === "summary") {
+    updateSummaryCalculations();
+  }
+}
+
+// Update summary calculations
+function updateSummaryCalculations() {
+  const summaryResults = document.getElementById("summaryResults");
+  summaryResults.innerHTML = "";
+
+  let totalPoints = 0;
+  let totalDistance = 0;
+  let groupsWithDistances = 0;
+  let parcelCount = 0;
+  let totalGridArea = 0;
+  let totalEllipsoidalArea = 0;
+
+  Object.keys(groups).forEach((groupId) => {
+    const group = groups[groupId];
+    totalPoints += group.points.length;
+
+    // Calculate total distance (includes closing segments of parcels)
+    totalDistance += calculateGroupLength(group);
+
+    if (group.points.length >= 2) {
+      groupsWithDistances++;
+    }
+
+    if (isParcel(group)) {
+      parcelCount++;
+      totalGridArea += calculateGridArea(group.points);
+      totalEllipsoidalArea += calculateEllipsoidalArea(group.points);
+    }
+  });
+
+  const summaryElement = document.createElement("div");
+  summaryElement.className = "calculation-item summary";
+  summaryElement.innerHTML = `
+    <h4>Project Summary</h4>
+    <div class="summary-stats">
+      <div class="summary-stat">
+        <span class="summary-stat-value">${Object.keys(groups).length}</span>
+        <span class="summary-stat-label">Groups</span>
+      </div>
+      <div class="summary-stat">
+        <span class="summary-stat-value">${totalPoints}</span>
+        <span class="summary-stat-label">Total Points</span>
+      </div>
+      <div class="summary-stat">
+        <span class="summary-stat-value">${totalDistance.toFixed(2)}</span>
+        <span class="summary-stat-label">Total ${
+          distanceType === "grid" ? "Grid" : "Ellipsoidal"
+        } Distance (m)</span>
+      </div>
+      <div class="summary-stat">
+        <span class="summary-stat-value">${groupsWithDistances}</span>
+        <span class="summary-stat-label">Groups with Distances</span>
+      </div>
+      <div class="summary-stat">
+        <span class="summary-stat-value">${parcelCount}</span>
+        <span class="summary-stat-label">Closed Parcels</span>
+      </div>
+      <div class="summary-stat">
+        <span class="summary-stat-value">${(totalGridArea / 10000).toFixed(
+          4
+        )}</span>
+        <span class="summary-stat-label">Total Grid Area (ha)</span>
+      </div>
+      <div class="summary-stat">
+        <span class="summary-stat-value">${totalGridArea.toFixed(2)}</span>
+        <span class="summary-stat-label">Total Grid Area (m²)</span>
+      </div>
+      <div class="summary-stat">
+        <span class="summary-stat-value">${totalEllipsoidalArea.toFixed(
+          2
+        )}</span>
+        <span class="summary-stat-label">Total Ellipsoidal Area (m²)</span>
+      </div>
+    </div>
+  `;
+
+  summaryResults.appendChild(summaryElement);
+}
+
+// Update calculations
+function updateCalculations(groupId) {
+  syncPointSymbols();
+  updateDistanceCalculations(groupId);
+  updateMapDistances(groupId);
+}
+
+// Update distance calculations, for one group or (without a group id) all
+// of them
+function updateDistanceCalculations(groupId) {
+  const distanceResults = document.getElementById("distanceResults");
+  if (groupId === undefined) {
+    distanceResults.innerHTML = "";
+    Object.keys(groups).forEach((id) => {
+      const groupElement = buildDistanceCalculations(id);
+      if (groupElement) distanceResults.appendChild(groupElement);
+    });
+    return;
+  }
+
+  // Replace only this group's results, rebuilding the tab when they are new
+  // and have to go in group order
+  const existing = Array.from(distanceResults.children).find(
+    (element) => element.dataset.groupId === groupId
+  );
+  const groupElement = buildDistanceCalculations(groupId);
+  if (existing && groupElement) {
+    existing.replaceWith(groupElement);
+  } else if (existing) {
+    existing.remove();
+  } else if (groupElement) {
+    updateDistanceCalculations();
+  }
+}
+
+// Build the Distances tab results of a group, or null when it has no legs
+function buildDistanceCalculations(groupId) {
+  const group = groups[groupId];
+  if (!group || group.points.length < 2) return null;
+
+  // Create group container
+  const groupElement = document.createElement("div");
+  groupElement.className = "calculation-group";
+  groupElement.dataset.groupId = groupId;
+  groupElement.innerHTML = `<h5>${escapeHtml(group.name)}</h5>`;
+
+  let totalDistance = 0;
+
+  // Calculate distances between consecutive points (and the closing
+  // segment for parcels)
+  getGroupSegments(group).forEach(([point1, point2]) => {
+    const ellipsoidal = calculateDistance(point1, point2);
+    const grid = calculateGridDistance(point1, point2);
+    const distance = distanceType === "grid" ? grid : ellipsoidal;
+    const leg = calculateLegGeometry(point1, point2);
+    const slope = calculateSlopeGeometry(point1, point2);
+    totalDistance += distance;
+
+    const distanceElement = document.createElement("div");
+    distanceElement.className = "calculation-item";
+    distanceElement.innerHTML = `
+        <h4>${escapeHtml(point1.name)} to ${escapeHtml(point2.name)}</h4>
+        <div class="calculation-details">
+          <span class="calculation-value">${distance.toFixed(2)}</span>
+          <span class="calculation-unit">meters (${
+            DISTANCE_TYPE_LABELS[distanceType]
+          })</span>
+        </div>
+        <div class="calculation-note">
+          Ellipsoidal: ${ellipsoidal.toFixed(3)} m · Grid: ${grid.toFixed(
+      3
+    )} m · Scale factor: ${calculateLineScaleFactor(point1, point2).toFixed(6)}
+        </div>
+        <div class="calculation-note">
+          Bearing: ${formatBearing(leg.gridBearing)} (${formatQuadrantBearing(
+      leg.gridBearing
+    )}) · Azimuth: ${formatBearing(leg.azimuth)} · Convergence: ${formatDMS(
+      leg.convergence
+    )} · Point scale factor: ${leg.scaleFactor.toFixed(6)}
+        </div>
+        ${
+          slope
+            ? `<div class="calculation-note">
+          Horizontal: ${slope.horizontal.toFixed(
+            3
+          )} m · Slope: ${slope.slopeDistance.toFixed(
+                3
+              )} m · Δh: ${slope.heightDifference.toFixed(
+                3
+              )} m · Gradient: ${formatGradient(slope.gradient)}
+        </div>`
+            : ""
+        }
+      `;
+
+    groupElement.appendChild(distanceElement);
+  });
+
+  // Add total distance
+  if (group.points.length > 2) {
+    const totalElement = document.createElement("div");
+    totalElement.className = "calculation-item summary";
+    totalElement.innerHTML = `
+        <h4>${isParcel(group) ? "Perimeter" : "Total Distance"}</h4>
+        <div class="calculation-details">
+          <span class="calculation-value">${totalDistance.toFixed(2)}</span>
+          <span class="calculation-unit">meters (${
+            DISTANCE_TYPE_LABELS[distanceType]
+          })</span>
+        </div>
+      `;
+    groupElement.appendChild(totalElement);
+  }
+
+  // Add area for closed parcels
+  if (isParcel(group)) {
+    const gridArea = calculateGridArea(group.points);
+    const ellipsoidalArea = calculateEllipsoidalArea(group.points);
+    const areaElement = document.createElement("div");
+    areaElement.className = "calculation-item area";
+    areaElement.innerHTML = `
+        <h4>Area</h4>
+        <p>Grid (PSD93 / UTM)</p>
+        <div class="calculation-details">
+          <span class="calculation-value">${gridArea.toFixed(2)}</span>
+          <span class="calculation-unit">m² (${(gridArea / 10000).toFixed(
+            4
+          )} ha)</span>
+        </div>
+        <p>Ellipsoidal (WGS84)</p>
+        <div class="calculation-details">
+          <span class="calculation-value">${ellipsoidalArea.toFixed(2)}</span>
+          <span class="calculation-unit">m² (${(
+            ellipsoidalArea / 10000
+          ).toFixed(4)} ha)</span>
+        </div>
+      `;
+    groupElement.appendChild(areaElement);
+  }
+
+  return groupElement;
+}
+
+// Update map distances - draw polylines and add distance labels, for one
+// group or (without a group id) all of them
+function updateMapDistances(groupId) {
+  const groupIds =
+    groupId === undefined
+      ? [...new Set([...Object.keys(polylines), ...Object.keys(groups)])]
+      : [groupId];
+  groupIds.forEach((id) => {
+    removeGroupLayers(id);
+    styleDotMarkers(id);
+    drawGroupLine(id);
+    drawDistanceLabels(id);
+  });
+}
+
+// Draw the line of a group, or its polygon for closed parcels
+function drawGroupLine(groupId) {
+  const group = groups[groupId];
+  if (!group || group.hidden || group.points.length < 2) return;
+
+  const style = getGroupStyle(group);
+  const lineOptions = {
+    color: group.color,
+    weight: style.lineWidth,
+    opacity: 0.8,
+    dashArray: LINE_DASHES[style.lineDash].dashArray,
+  };
+  const coordinates = group.points.map((point) => [point.lat, point.lng]);
+  polylines[groupId] = isParcel(group)
+    ? L.polygon(coordinates, {
+        ...lineOptions,
+        fillColor: group.color,
+        fillOpacity: style.fillOpacity,
+      }).addTo(map)
+    : L.polyline(coordinates, lineOptions).addTo(map);
+}
+
+// Add distance labels on the map for the segments of a group in (or near)
+// the current view (the longest MAX_GROUP_LABELS of them), and none below
+// the label zoom
+function drawDistanceLabels(groupId) {
+  removeDistanceLabels(groupId);
+  const group = groups[groupId];
+  if (
+    !group ||
+    group.hidden ||
+    group.points.length < 2 ||
+    map.getZoom() < labelMinZoom
+  ) {
+    return;
+  }
+
+  // Calculate midpoints for label placement
+  const bounds = map.getBounds().pad(0.2);
+  let segments = getGroupSegments(group)
+    .map(([point1, point2]) => ({
+      point1,
+      point2,
+      midpoint: L.latLng(
+        (point1.lat + point2.lat) / 2,
+        (point1.lng + point2.lng) / 2
+      ),
+    }))
+    .filter(({ midpoint }) => bounds.contains(midpoint))
+    .map((segment) => ({
+      ...segment,
+      distance: measureDistance(segment.point1, segment.point2),
+    }));
+  if (segments.length > MAX_GROUP_LABELS) {
+    segments = segments
+      .sort((a, b) => b.distance - a.distance)
+      .slice(0, MAX_GROUP_LABELS);
+  }
+
+  const labels = [];
+  segments.forEach(({ point1, point2, midpoint, distance }) => {
+    // Create custom icon for distance label
+    const bearing = showBearingLabels
+      ? `<br>${formatBearing(
+          calculateLegGeometry(point1, point2).gridBearing,
+          0
+        )}`
+      : "";
+    const distanceIcon = L.divIcon({
+      className: "distance-label",
+      html: `<div style="background: white; border: 2px solid ${
+        group.color
+      }; color: ${
+        group.color
+      }; padding: 2px 6px; border-radius: 4px; font-weight: bold; font-size: 12px; white-space: nowrap; text-align: center;">${distance.toFixed(
+        1
+      )}m${bearing}</div>`,
+      iconSize: showBearingLabels ? [100, 36] : [100, 20],
+      iconAnchor: showBearingLabels ? [50, 18] : [50, 10],
+    });
+
+    const label = L.marker(midpoint, {
+      icon: distanceIcon,
+      interactive: false,
+    }).addTo(map);
+
+    labels.push(label);
+  });
+
+  distanceLabels[groupId] = labels;
+}
+
+// Redraw the distance labels of every group for the current view
+function refreshDistanceLabels() {
+  Object.keys(groups).forEach(drawDistanceLabels);
+}
+
+// Remove the distance labels of a group from the map
+function removeDistanceLabels(groupId) {
+  (distanceLabels[groupId] || []).forEach((label) => map.removeLayer(label));
+  delete distanceLabels[groupId];
+}
+
+// Remove the line and distance labels of a group from the map
+function removeGroupLayers(groupId) {
+  if (polylines[groupId]) {
+    map.removeLayer(polylines[groupId]);
+    delete polylines[groupId];
+  }
+  removeDistanceLabels(groupId);
+}
+
+// Calculate distance between two points (WGS84 ellipsoidal geodesic)
+function calculateDistance(point1, point2) {
+  return window.coordSys.geodesicInverse(
+    point1.lat,
+    point1.lng,
+    point2.lat,
+    point2.lng
+  ).distance;
+}
+
+// Calculate grid distance between two points from their PSD93 / UTM
+// easting/northing (in the first point's zone)
+function calculateGridDistance(point1, point2) {
+  const zone = getPointZone(point1);
+  const grid1 = getPointGrid(point1, zone);
+  const grid2 = getPointGrid(point2, zone);
+  return Math.hypot(
+    grid2.easting - grid1.easting,
+    grid2.northing - grid1.northing
+  );
+}
+
+// Line scale factor between two points (Simpson's rule over the point
+// scale factors at both ends and the midpoint)
+function calculateLineScaleFactor(point1, point2) {
+  const coordSystem = `utm${getPointZone(point1)}`;
+  const k1 = window.coordSys.scaleFactor(coordSystem, point1.lat, point1.lng);
+  const k2 = window.coordSys.scaleFactor(coordSystem, point2.lat, point2.lng);
+  const km = window.coordSys.scaleFactor(
+    coordSystem,
+    (point1.lat + point2.lat) / 2,
+    (point1.lng + point2.lng) / 2
+  );
+  return (k1 + 4 * km + k2) / 6;
+}
+
+// Bearing geometry of a leg in the zone of its first point: the grid
+// bearing and coordinate differences on PSD93 / UTM, the geodetic azimuth
+// on the PSD93 ellipsoid, and the grid convergence and point scale factor
+// at the first point (all angles in degrees)
+function calculateLegGeometry(point1, point2) {
+  const zone = getPointZone(point1);
+  const grid1 = getPointGrid(point1, zone);
+  const grid2 = getPointGrid(point2, zone);
+  const deltaE = grid2.easting - grid1.easting;
+  const deltaN = grid2.northing - grid1.northing;
+  const coordSystem = `utm${zone}`;
+  const [lat1, lon1] = window.coordSys.wgs84ToPSD93(point1.lat, point1.lng);
+  const [lat2, lon2] = window.coordSys.wgs84ToPSD93(point2.lat, point2.lng);
+  return {
+    deltaE,
+    deltaN,
+    gridBearing: ((Math.atan2(deltaE, deltaN) * 180) / Math.PI + 360) % 360,
+    azimuth: window.coordSys.geodesicInverse(
+      lat1,
+      lon1,
+      lat2,
+      lon2,
+      window.coordSys.ellipsoids.CLARKE1880_RGS
+    ).initialBearing,
+    convergence: window.coordSys.convergence(
+      coordSystem,
+      point1.lat,
+      point1.lng
+    ),
+    scaleFactor: window.coordSys.scaleFactor(
+      coordSystem,
+      point1.lat,
+      point1.lng
+    ),
+  };
+}
+
+// Whether a point has a height
+function hasHeight(point) {
+  return typeof point.height === "number" && !isNaN(point.height);
+}
+
+// Height geometry of a leg between two points with heights: horizontal
+// (ellipsoidal) and slope distance, height difference and gradient (rise
+// over horizontal distance). Null when either point has no height.
+function calculateSlopeGeometry(point1, point2) {
+  if (!hasHeight(point1) || !hasHeight(point2)) return null;
+  const horizontal = calculateDistance(point1, point2);
+  const heightDifference = point2.height - point1.height;
+  return {
+    horizontal,
+    heightDifference,
+    slopeDistance: Math.hypot(horizontal, heightDifference),
+    gradient: horizontal > 0 ? heightDifference / horizontal : 0,
+  };
+}
+
+// Format a gradient as a percentage and "1 in n"
+function formatGradient(gradient) {
+  const percent = `${(gradient * 100).toFixed(2)}%`;
+  return gradient === 0
+    ? percent
+    : `${percent} (1 in ${(1 / Math.abs(gradient)).toFixed(1)})`;
+}
+
+// Build an SVG elevation profile of a group: point heights against the
+// cumulative horizontal distance along the group (back to the first point
+// for parcels). Null when fewer than two points have heights.
+function buildElevationProfile(group) {
+  const stations = [];
+  let distance = 0;
+  if (group.points.length > 0) {
+    stations.push({ point: group.points[0], distance: 0 });
+  }
+  getGroupSegments(group).forEach(([point1, point2]) => {
+    distance += calculateDistance(point1, point2);
+    stations.push({ point: point2, distance });
+  });
+  const profile = stations.filter(({ point }) => hasHeight(point));
+  if (profile.length < 2) return null;
+
+  const width = 280;
+  const height = 120;
+  const margin = { left: 44, right: 8, top: 10, bottom: 22 };
+  const heights = profile.map(({ point }) => point.height);
+  const minHeight = Math.min(...heights);
+  const maxHeight = Math.max(...heights);
+  const heightRange = maxHeight - minHeight || 1;
+  const x = (d) =>
+    margin.left + (d / (distance || 1)) * (width - margin.left - margin.right);
+  const y = (h) =>
+    height -
+    margin.bottom -
+    ((h - minHeight) / heightRange) * (height - margin.top - margin.bottom);
+
+  const svgNS = "http://www.w3.org/2000/svg";
+  const svg = document.createElementNS(svgNS, "svg");
+  svg.setAttribute("class", "elevation-profile");
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  const add = (tag, attributes, text) => {
+    const element = document.createElementNS(svgNS, tag);
+    Object.keys(attributes).forEach((name) =>
+      element.setAttribute(name, attributes[name])
+    );
+    if (text !== undefined) element.textContent = text;
+    svg.appendChild(element);
+    return element;
+  };
+
+  // Axes with the height range and total distance
+  add("line", {
+    x1: margin.left,
+    y1: margin.top,
+    x2: margin.left,
+    y2: height - margin.bottom,
+    class: "profile-axis",
+  });
+  add("line", {
+    x1: margin.left,
+    y1: height - margin.bottom,
+    x2: width - margin.right,
+    y2: height - margin.bottom,
+    class: "profile-axis",
+  });
+  add(
+    "text",
+    { x: margin.left - 4, y: y(maxHeight) + 4, "text-anchor": "end" },
+    maxHeight.toFixed(1)
+  );
+  add(
+    "text",
+    { x: margin.left - 4, y: y(minHeight), "text-anchor": "end" },
+    minHeight.toFixed(1)
+  );
+  add("text", { x: margin.left, y: height - 6 }, "0 m");
+  add(
+    "text",
+    { x: width - margin.right, y: height - 6, "text-anchor": "end" },
+    `${distance.toFixed(1)} m`
+  );
+
+  // Profile line and stations
+  add("polyline", {
+    points: profile
+      .map(({ point, distance: d }) => `${x(d)},${y(point.height)}`)
+      .join(" "),
+    fill: "none",
+    stroke: group.color,
+    "stroke-width": 2,
+  });
+  profile.forEach(({ point, distance: d }) => {
+    const circle = add("circle", {
+      cx: x(d),
+      cy: y(point.height),
+      r: 3,
+      fill: group.color,
+    });
+    const title = document.createElementNS(svgNS, "title");
+    title.textContent = `${point.name}: ${point.height} m at ${d.toFixed(1)} m`;
+    circle.appendChild(title);
+  });
+  return svg;
+}
+
+// Format an angle in degrees as degrees, minutes and seconds, e.g.
+// -0°03'10.2" (degrees padded to degreeDigits)
+function formatDMS(angle, secondDecimals = 1, degreeDigits = 1) {
+  const factor = Math.pow(10, secondDecimals);
+  const totalSeconds = Math.round(Math.abs(angle) * 3600 * factor) / factor;
+  const degrees = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds - degrees * 3600) / 60);
+  const seconds = totalSeconds - degrees * 3600 - minutes * 60;
+  const sign = angle < 0 && totalSeconds > 0 ? "-" : "";
+  return `${sign}${String(degrees).padStart(degreeDigits, "0")}°${String(
+    minutes
+  ).padStart(2, "0")}'${seconds
+    .toFixed(secondDecimals)
+    .padStart(secondDecimals > 0 ? secondDecimals + 3 : 2, "0")}"`;
+}
+
+// Format a whole-circle bearing (0-360°) in DMS, e.g. 045°30'00.0"
+function formatBearing(bearing, secondDecimals = 1) {
+  const factor = Math.pow(10, secondDecimals);
+  const seconds = Math.round(bearing * 3600 * factor) / factor;
+  return formatDMS((seconds % (360 * 3600)) / 3600, secondDecimals, 3);
+}
+
+// Format a whole-circle bearing as a quadrant bearing, e.g. S 44°30'00.0" E
+function formatQuadrantBearing(bearing, secondDecimals = 1) {
+  const b = ((bearing % 360) + 360) % 360;
+  const northSouth = b <= 90 || b > 270 ? "N" : "S";
+  const eastWest = b <= 180 ? "E" : "W";
+  const angle = b <= 90 ? b : b <= 180 ? 180 - b : b <= 270 ? b - 180 : 360 - b;
+  return `${northSouth} ${formatDMS(angle, secondDecimals, 2)} ${eastWest}`;
+}
+
+// Export a group's legs as a traverse table (CSV): bearing, grid and
+// ellipsoidal distance and coordinate differences per leg
+function exportTraverse(groupId) {
+  const group = groups[groupId];
+  const segments = getGroupSegments(group);
+  if (segments.length === 0) {
+    alert("A traverse needs at least two points");
+    return;
+  }
+
+  const rows = [
+    [
+      "From",
+      "To",
+      "Bearing",
+      "Quadrant bearing",
+      "Grid distance (m)",
+      "Ellipsoidal distance (m)",
+      "ΔE (m)",
+      "ΔN (m)",
+      "Δh (m)",
+      "Slope distance (m)",
+    ],
+  ];
+  segments.forEach(([point1, point2]) => {
+    const leg = calculateLegGeometry(point1, point2);
+    const slope = calculateSlopeGeometry(point1, point2);
+    rows.push([
+      point1.name,
+      point2.name,
+      formatBearing(leg.gridBearing),
+      formatQuadrantBearing(leg.gridBearing),
+      calculateGridDistance(point1, point2).toFixed(3),
+      calculateDistance(point1, point2).toFixed(3),
+      leg.deltaE.toFixed(3),
+      leg.deltaN.toFixed(3),
+      slope ? slope.heightDifference.toFixed(3) : "",
+      slope ? slope.slopeDistance.toFixed(3) : "",
+    ]);
+  });
+
+  downloadFile(
+    "\ufeff" + window.fileFormats.buildDelimitedText(rows),
+    `${safeFileName(group.name)}_traverse.csv`,
+    "text/csv"
+  );
+}
+
+// A point's coordinates in a coordinate system: [easting, northing] for
+// projected systems (exact for PSD93 / UTM), [latitude, longitude] for
+// geographic ones
+function getPointCoordinatesIn(point, coordSystem) {
+  if (isPointCoordSystem(coordSystem)) {
+    const { easting, northing } = getPointGrid(
+      point,
+      getZoneFromCoordSystem(coordSystem)
+    );
+    return [easting, northing];
+  }
+  const coords = window.coordSys.transform("wgs84", coordSystem, {
+    lat: point.lat,
+    lon: point.lng,
+  });
+  return window.coordSys.isProjected(coordSystem)
+    ? [coords.easting, coords.northing]
+    : [coords.lat, coords.lon];
+}
+
+// Draw a vector sketch of a group from its PSD93 / UTM easting/northing (in
+// the first point's zone), north up, with point labels, leg distances, a
+// north arrow and a scale bar
+function buildReportSketch(group) {
+  const width = 600;
+  const height = 400;
+  const margin = 50;
+  const zone = getPointZone(group.points[0]);
+  const grid = group.points.map((point) => getPointGrid(point, zone));
+  const eastings = grid.map((g) => g.easting);
+  const northings = grid.map((g) => g.northing);
+  const minE = Math.min(...eastings);
+  const minN = Math.min(...northings);
+  const spanE = Math.max(...eastings) - minE;
+  const spanN = Math.max(...northings) - minN;
+  const scale = Math.min(
+    (width - 2 * margin) / Math.max(spanE, 1),
+    (height - 2 * margin) / Math.max(spanN, 1)
+  );
+  // Centre the drawing in the frame
+  const offsetX = (width - spanE * scale) / 2 - minE * scale;
+  const offsetY = (height + spanN * scale) / 2 + minN * scale;
+  const x = (easting) => offsetX + easting * scale;
+  const y = (northing) => offsetY - northing * scale;
+
+  const svgNS = "http://www.w3.org/2000/svg";
+  const svg = document.createElementNS(svgNS, "svg");
+  svg.setAttribute("class", "report-sketch");
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  svg.setAttribute("font-family", "Arial, sans-serif");
+  const add = (tag, attributes, text) => {
+    const element = document.createElementNS(svgNS, tag);
+    Object.keys(attributes).forEach((name) =>
+      element.setAttribute(name, attributes[name])
+    );
+    if (text !== undefined) element.textContent = text;
+    svg.appendChild(element);
+    return element;
+  };
+  add("rect", { x: 0, y: 0, width, height, fill: "white" });
+
+  // Boundary or line
+  const vertices = grid
+    .map((g) => `${x(g.easting).toFixed(1)},${y(g.northing).toFixed(1)}`)
+    .join(" ");
+  if (isParcel(group)) {
+    add("polygon", {
+      points: vertices,
+      fill: group.color,
+      "fill-opacity": 0.1,
+      stroke: group.color,
+      "stroke-width": 2,
+    });
+  } else if (grid.length >= 2) {
+    add("polyline", {
+      points: vertices,
+      fill: "none",
+      stroke: group.color,
+      "stroke-width": 2,
+    });
+  }
+
+  // Leg distances at the middle of each leg
+  getGroupSegments(group).forEach(([point1, point2]) => {
+    const g1 = getPointGrid(point1, zone);
+    const g2 = getPointGrid(point2, zone);
+    let angle =
+      (Math.atan2(-(g2.northing - g1.northing), g2.easting - g1.easting) *
+        180) /
+      Math.PI;
+    if (angle > 90) angle -= 180;
+    if (angle < -90) angle += 180;
+    const midX = x((g1.easting + g2.easting) / 2);
+    const midY = y((g1.northing + g2.northing) / 2);
+    add(
+      "text",
+      {
+        x: midX.toFixed(1),
+        y: (midY - 4).toFixed(1),
+        "font-size": 10,
+        fill: "#2d3748",
+        "text-anchor": "middle",
+        transform: `rotate(${angle.toFixed(1)} ${midX.toFixed(
+          1
+        )} ${midY.toFixed(1)})`,
+      },
+      `${calculateGridDistance(point1, point2).toFixed(2)} m`
+    );
+  });
+
+  // Points and their names
+  grid.forEach((g, i) => {
+    add("circle", {
+      cx: x(g.easting).toFixed(1),
+      cy: y(g.northing).toFixed(1),
+      r: 3.5,
+      fill: "white",
+      stroke: "#1a202c",
+      "stroke-width": 1.5,
+    });
+    add(
+      "text",
+      {
+        x: (x(g.easting) + 6).toFixed(1),
+        y: (y(g.northing) - 6).toFixed(1),
+        "font-size": 11,
+        "font-weight": "bold",
+        fill: "#1a202c",
+      },
+      group.points[i].name
+    );
+  });
+
+  // North arrow (grid north)
+  add("path", {
+    d: `M ${width - 30} 20 L ${width - 37} 44 L ${width - 30} 38 L ${
+      width - 23
+    } 44 Z`,
+    fill: "#1a202c",
+  });
+  add(
+    "text",
+    {
+      x: width - 30,
+      y: 58,
+      "font-size": 11,
+      "text-anchor": "middle",
+      fill: "#1a202c",
+    },
+    "N"
+  );
+
+  // Scale bar of a round length about a quarter of the frame
+  const target = (width - 2 * margin) / 4 / scale;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(target)));
+  const barLength =
+    [5, 2, 1].map((n) => n * magnitude).find((length) => length <= target) ||
+    magnitude;
+  const barWidth = barLength * scale;
+  add("line", {
+    x1: 20,
+    y1: height - 20,
+    x2: 20 + barWidth,
+    y2: height - 20,
+    stroke: "#1a202c",
+    "stroke-width": 3,
+  });
+  add(
+    "text",
+    { x: 20, y: height - 27, "font-size": 10, fill: "#1a202c" },
+    `${barLength >= 1 ? barLength : barLength.toFixed(2)} m`
+  );
+  return svg;
+}
+
+// Build a table of the report
+function buildReportTable(headings, rows, numericColumns = []) {
+  const table = document.createElement("table");
+  if (headings) {
+    const headRow = document.createElement("tr");
+    headings.forEach((heading) => {
+      const th = document.createElement("th");
+      th.textContent = heading;
+      headRow.appendChild(th);
+    });
+    table.appendChild(headRow);
+  }
+  rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    row.forEach((value, index) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      if (numericColumns.includes(index)) td.className = "number";
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+  return table;
+}
+
+// Build the survey report page of a group: project details, sketch,
+// coordinate schedule in the coordinate system selected for input, legs
+// with grid bearings and distances, and totals with the area for parcels
+function buildSurveyReport(groupId) {
+  const group = groups[groupId];
+  const coordSystem = getSelectedCoordSystem();
+  const crs = window.coordSys.getCRS(coordSystem);
+  const projected = window.coordSys.isProjected(coordSystem);
+  const zone = getPointZone(group.points[0]);
+  const withHeights = group.points.some(hasHeight);
+  const withCodes = group.points.some((point) => point.code !== undefined);
+  const withAttributes = group.points.some((point) => point.attributes);
+
+  const page = document.createElement("div");
+  page.className = "report-page";
+  const heading = (tag, text) => {
+    const element = document.createElement(tag);
+    element.textContent = text;
+    page.appendChild(element);
+  };
+
+  heading("h1", `Survey Report: ${group.name}`);
+  const meta = buildReportTable(null, [
+    ["Project", currentProject ? currentProject.name : ""],
+    ["Group", group.name],
+    ["Type", isParcel(group) ? "Closed parcel" : "Open line"],
+    ["Coordinate system", `${crs.name} (EPSG:${crs.epsg})`],
+    ["Bearings and grid distances", window.coordSys.getCRS(`utm${zone}`).name],
+    ["Points", String(group.points.length)],
+    ["Date", new Date().toLocaleDateString()],
+  ]);
+  meta.className = "report-meta";
+  page.appendChild(meta);
+
+  heading("h2", "Sketch");
+  page.appendChild(buildReportSketch(group));
+
+  heading("h2", `Coordinate Schedule (${crs.name})`);
+  page.appendChild(
+    buildReportTable(
+      [
+        "Point",
+        ...(projected
+          ? ["Easting (m)", "Northing (m)"]
+          : ["Latitude (°)", "Longitude (°)"]),
+        ...(withHeights ? ["Height (m)"] : []),
+        ...(withCodes ? ["Code"] : []),
+        ...(withAttributes ? ["Attributes"] : []),
+      ],
+      group.points.map((point) => {
+        const coords = getPointCoordinatesIn(point, coordSystem);
+        return [
+          point.name,
+          ...coords.map((value) => value.toFixed(projected ? 3 : 8)),
+          ...(withHeights
+            ? [hasHeight(point) ? point.height.toFixed(3) : ""]
+            : []),
+          ...(withCodes ? [point.code !== undefined ? point.code : ""] : []),
+          ...(withAttributes
+            ? [formatAttributes(point.attributes).replace(/\n/g, "; ")]
+            : []),
+        ];
+      }),
+      withHeights ? [1, 2, 3] : [1, 2]
+    )
+  );
+
+  const segments = getGroupSegments(group);
+  if (segments.length > 0) {
+    heading("h2", "Distances and Bearings");
+    page.appendChild(
+      buildReportTable(
+        [
+          "From",
+          "To",
+          "Grid bearing",
+          "Grid distance (m)",
+          "Ellipsoidal distance (m)",
+        ],
+        segments.map(([point1, point2]) => [
+          point1.name,
+          point2.name,
+          formatBearing(calculateLegGeometry(point1, point2).gridBearing),
+          calculateGridDistance(point1, point2).toFixed(3),
+          calculateDistance(point1, point2).toFixed(3),
+        ]),
+        [3, 4]
+      )
+    );
+
+    const sum = (measure) =>
+      segments.reduce((total, [p1, p2]) => total + measure(p1, p2), 0);
+    const lengthLabel = isParcel(group) ? "Perimeter" : "Total length";
+    const totals = [
+      [`${lengthLabel} (grid)`, `${sum(calculateGridDistance).toFixed(3)} m`],
+      [
+        `${lengthLabel} (ellipsoidal)`,
+        `${sum(calculateDistance).toFixed(3)} m`,
+      ],
+    ];
+    if (isParcel(group)) {
+      const gridArea = calculateGridArea(group.points);
+      totals.push(
+        [
+          "Grid area",
+          `${gridArea.toFixed(2)} m² (${(gridArea / 10000).toFixed(4)} ha)`,
+        ],
+        [
+          "Ellipsoidal area",
+          `${calculateEllipsoidalArea(group.points).toFixed(2)} m²`,
+        ]
+      );
+    }
+    heading("h2", "Totals");
+    const totalsTable = buildReportTable(null, totals);
+    totalsTable.className = "report-meta";
+    page.appendChild(totalsTable);
+  }
+
+  const footer = document.createElement("p");
+  footer.className = "report-footer";
+  footer.textContent = `Generated ${new Date().toLocaleString()} by Code Industries Coordinate Calculator ${APP_VERSION}`;
+  page.appendChild(footer);
+  return page;
+}
+
+// Show the survey report of a group in the report dialog
+function openReport(groupId) {
+  if (!groups[groupId] || groups[groupId].points.length === 0) {
+    alert("A report needs at least one point");
+    return;
+  }
+  reportGroupId = groupId;
+  const content = document.getElementById("reportContent");
+  content.innerHTML = "";
+  const style = document.createElement("style");
+  style.textContent = REPORT_STYLES;
+  content.appendChild(style);
+  content.appendChild(buildSurveyReport(groupId));
+  document.getElementById("reportDialog").style.display = "flex";
+}
+
+// Close the report dialog
+function closeReportDialog() {
+  document.getElementById("reportDialog").style.display = "none";
+  document.getElementById("reportContent").innerHTML = "";
+  reportGroupId = null;
+}
+
+// Print the report alone (see the print stylesheet)
+function printReport() {
+  document.body.classList.add("printing-report");
+  window.print();
+  document.body.classList.remove("printing-report");
+}
+
+// Download the report as a standalone HTML page
+function downloadReportHTML() {
+  const page = document.querySelector("#reportContent .report-page");
+  if (!page) return;
+  const name = groups[reportGroupId].name;
+  const html = [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="UTF-8">',
+    `<title>Survey Report: ${escapeHtml(name)}</title>`,
+    `<style>${REPORT_STYLES}@page { size: A4; margin: 15mm; }</style>`,
+    "</head>",
+    "<body>",
+    page.outerHTML,
+    "</body>",
+    "</html>",
+  ].join("\n");
+  downloadFile(html, `${safeFileName(name)}_report.html`, "text/html");
+}
+
+// Download the report sketch as an SVG drawing
+function downloadReportSVG() {
+  const sketch = document.querySelector("#reportContent .report-sketch");
+  if (!sketch) return;
+  const svg = sketch.cloneNode(true);
+  svg.setAttribute("width", "600");
+  svg.setAttribute("height", "400");
+  downloadFile(
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      new XMLSerializer().serializeToString(svg),
+    `${safeFileName(groups[reportGroupId].name)}_sketch.svg`,
+    "image/svg+xml"
+  );
+}
+
+// Distance of the selected distance type
+function measureDistance(point1, point2) {
+  return distanceType === "grid"
+    ? calculateGridDistance(point1, point2)
+    : calculateDistance(point1, point2);
+}
+
+// Switch the distance type shown in the Distances tab, map labels and Summary
+function setDistanceType(type) {
+  distanceType = type;
+  updateCalculations();
+  updateGroupsList();
+  updateSummaryCalculations();
+  renderMeasurement();
+}
+
+// Whether a group is drawn and measured as a closed parcel
+function isParcel(group) {
+  return !!group.closed && group.points.length >= 3;
+}
+
+// Get the [from, to] point pairs of a group, including the closing
+// segment back to the first point for parcels
+function getGroupSegments(group) {
+  const segments = [];
+  for (let i = 0; i < group.points.length - 1; i++) {
+    segments.push([group.points[i], group.points[i + 1]]);
+  }
+  if (isParcel(group)) {
+    segments.push([group.points[group.points.length - 1], group.points[0]]);
+  }
+  return segments;
+}
+
+// Total length of a group (perimeter for parcels)
+function calculateGroupLength(group) {
+  return getGroupSegments(group).reduce(
+    (total, [point1, point2]) => total + measureDistance(point1, point2),
+    0
+  );
+}
+
+// Calculate polygon area on the PSD93 / UTM grid (shoelace formula).
+// Points stored in another zone are re-expressed in the first point's zone.
+function calculateGridArea(points) {
+  if (points.length === 0) return 0;
+  const zone = getPointZone(points[0]);
+  const grid = points.map((point) => getPointGrid(point, zone));
+  let sum = 0;
+  for (let i = 0; i < grid.length; i++) {
+    const p1 = grid[i];
+    const p2 = grid[(i + 1) % grid.length];
+    sum += p1.easting * p2.northing - p2.easting * p1.northing;
+  }
+  return Math.abs(sum) / 2;
+}
+
+// Calculate polygon area on the WGS84 ellipsoid. Latitudes are mapped to
+// authalic latitudes so the spherical excess on the authalic sphere gives
+// the ellipsoidal area.
+function calculateEllipsoidalArea(points) {
+  const a = 6378137.0;
+  const f = 1 / 298.257223563;
+  const e2 = 2 * f - f * f;
+  const e = Math.sqrt(e2);
+  const q = (sinLat) =>
+    (1 - e2) *
+    (sinLat / (1 - e2 * sinLat * sinLat) -
+      (1 / (2 * e)) * Math.log((1 - e * sinLat) / (1 + e * sinLat)));
+  const qp = q(1);
+  const Rq2 = (a * a * qp) / 2; // authalic radius squared
+  const sinAuthalic = (lat) => q(Math.sin((lat * Math.PI) / 180)) / qp;
+
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p1 = points[i];
+    const p2 = points[(i + 1) % points.length];
+    const deltaLng = ((p2.lng - p1.lng) * Math.PI) / 180;
+    sum += deltaLng * (2 + sinAuthalic(p1.lat) + sinAuthalic(p2.lat));
+  }
+  return Math.abs((sum * Rq2) / 2);
+}
+
+// Fit map to show all markers
+function fitMapToMarkers() {
+  const markerLayers = Object.values(markers).filter((marker) =>
+    map.hasLayer(marker)
+  );
+  if (markerLayers.length > 0) {
+    const group = L.featureGroup(markerLayers);
+    map.fitBounds(group.getBounds().pad(0.1));
+  }
+}
+
+// Clear all data
+function clearAll() {
+  if (confirm("Are you sure you want to clear all data?")) {
+    recordHistory("clear all");
+
+    // Clear markers
+    Object.values(markers).forEach((marker) => {
+      map.removeLayer(marker);
+    });
+    markers = {};
+
+    // Clear polylines and distance labels
+    Object.keys(polylines).forEach(removeGroupLayers);
+
+    // Clear groups
+    groups = {};
+    currentGroup = null;
+
+    // Create default group
+    createDefaultGroup();
+
+    // Clear calculations
+    document.getElementById("distanceResults").innerHTML = "";
+    updateGroupsList();
+    scheduleSave();
+  }
+}
+
+// Export data as a versioned project file
+function exportData() {
+  const crsSummary = (id) => {
+    const { name, epsg } = window.coordSys.getCRS(id);
+    return { id, name, epsg };
+  };
+  const data = window.fileFormats.buildProjectFile({
+    projectName: currentProject ? currentProject.name : "",
+    groups: groups,
+    currentGroup: currentGroup,
+    codeLibrary: codeLibrary,
+    appVersion: APP_VERSION,
+    crs: {
+      points: SUPPORTED_ZONES.map((zone) => crsSummary(`utm${zone}`)),
+      geographic: crsSummary("wgs84"),
+    },
+  });
+
+  const dataStr = JSON.stringify(data, null, 2);
+  downloadFile(
+    dataStr,
+    `coordinate_data_${new Date().toISOString().split("T")[0]}.json`,
+    "application/json"
+  );
+}
+
+// Download text content as a file
+function downloadFile(content, fileName, mimeType) {
+  const dataBlob = new Blob([content], { type: mimeType });
+
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(dataBlob);
+  link.download = fileName;
+  link.click();
+}
+
+// Make a name safe to use in a download file name
+function safeFileName(name) {
+  return name.replace(/[^a-z0-9_-]+/gi, "_") || "export";
+}
+
+// Import data
+function importData() {
+  document.getElementById("fileInput").click();
+}
+
+// Read a project file, migrate and validate it, and offer to import it
+function handleProjectFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = function (e) {
+    let data;
+    try {
+      data = JSON.parse(e.target.result);
+    } catch (error) {
+      alert("Error reading file. Please make sure it's a valid JSON file.");
+      console.error("Import error:", error);
+      return;
+    }
+
+    try {
+      const { migrateProjectFile, validateProjectGroups } = window.fileFormats;
+      const { data: project, migratedFrom } = migrateProjectFile(data);
+      const { groups: validGroups, problems } = validateProjectGroups(
+        project.groups,
+        SUPPORTED_ZONES.map((zone) => `utm${zone}`)
+      );
+      openProjectImportDialog({
+        fileName: file.name,
+        project,
+        migratedFrom,
+        groups: validGroups,
+        problems,
+      });
+    } catch (error) {
+      alert(`Invalid project file: ${error.message}`);
+      console.error("Import error:", error);
+    }
+  };
+  reader.readAsText(file);
+
+  // Allow the same file to be chosen again
+  e.target.value = "";
+}
+
+// Show what a project file contains and what was left out, and ask whether
+// to replace the current project's groups or merge alongside them
+function openProjectImportDialog(pending) {
+  projectImport = pending;
+  const groupCount = Object.keys(pending.groups).length;
+  const pointCount = Object.values(pending.groups).reduce(
+    (count, group) => count + group.points.length,
+    0
+  );
+
+  document.getElementById("projectFileName").textContent = pending.fileName;
+  const summary = document.getElementById("projectImportSummary");
+  summary.innerHTML = "";
+  const details = [
+    `${groupCount} group${
+      groupCount !== 1 ? "s" : ""
+    } with ${pointCount} point${pointCount !== 1 ? "s" : ""} can be imported.`,
+    pending.project.projectName
+      ? `Project: ${pending.project.projectName}`
+      : "",
+    `Format version ${pending.migratedFrom}${
+      pending.migratedFrom < pending.project.formatVersion
+        ? ` (upgraded to version ${pending.project.formatVersion})`
+        : ""
+    }${
+      pending.project.appVersion
+        ? `, written by app version ${pending.project.appVersion}`
+        : ""
+    }`,
+  ];
+  details
+    .filter((text) => text)
+    .forEach((text) => {
+      const line = document.createElement("p");
+      line.textContent = text;
+      summary.appendChild(line);
+    });
+
+  const report = document.getElementById("projectImportReport");
+  report.innerHTML = "";
+  if (pending.problems.length > 0) {
+    const heading = document.createElement("p");
+    heading.innerHTML = `<strong>${pending.problems.length} problem${
+      pending.problems.length !== 1 ? "s" : ""
+    } found; these are left out:</strong>`;
+    report.appendChild(heading);
+    const list = document.createElement("ul");
+    pending.problems.forEach((problem) => {
+      const item = document.createElement("li");
+      item.textContent = problem;
+      list.appendChild(item);
+    });
+    report.appendChild(list);
+  }
+
+  // Merging is the default when the project already has groups
+  const hasGroups = Object.keys(groups).length > 0;
+  document.getElementById("projectImportMerge").checked = hasGroups;
+  document.getElementById("projectImportReplace").checked = !hasGroups;
+  document.getElementById("projectImportConfirm").disabled = groupCount === 0;
+  document.getElementById("projectImportDialog").style.display = "flex";
+}
+
+// Close the project import dialog and drop the validated file
+function closeProjectImportDialog() {
+  document.getElementById("projectImportDialog").style.display = "none";
+  projectImport = null;
+}
+
+// Import the validated groups, replacing the current project's groups or
+// adding them alongside. Group and point ids already in use (or repeated in
+// the file) are given new ids. Point positions are recomputed from the
+// easting/northing in the transform worker.
+async function runProjectImport() {
+  if (!projectImport) return;
+  const imported = projectImport.groups;
+  const importedPoints = Object.values(imported).flatMap(
+    (group) => group.points
+  );
+
+  const confirmButton = document.getElementById("projectImportConfirm");
+  confirmButton.disabled = true;
+  setImportProgress("projectProgress", 0);
+  let resolvedPoints;
+  try {
+    resolvedPoints = await resolveInputCoordinatesBySystem(
+      importedPoints.map((point) => ({
+        coordSystem: point.coordSystem,
+        x: point.easting,
+        y: point.northing,
+        h: hasHeight(point) ? point.height : 0,
+      })),
+      (fraction) => setImportProgress("projectProgress", fraction)
+    );
+  } catch (error) {
+    alert(`Error converting coordinates: ${error.message}`);
+    console.error("Import error:", error);
+    return;
+  } finally {
+    confirmButton.disabled = false;
+    setImportProgress("projectProgress", null);
+  }
+  // The dialog was cancelled while converting
+  if (!projectImport || projectImport.groups !== imported) return;
+  importedPoints.forEach((point, index) => {
+    point.lat = resolvedPoints[index].lat;
+    point.lng = resolvedPoints[index].lng;
+  });
+
+  const merge = document.getElementById("projectImportMerge").checked;
+  const importedCurrentGroup = projectImport.project.currentGroup;
+  const importedLibrary = window.fileFormats.validateCodeLibrary(
+    projectImport.project.codeLibrary,
+    Object.keys(CODE_SYMBOLS)
+  );
+  closeProjectImportDialog();
+  recordHistory(merge ? "merge project file" : "import project file");
+
+  // Codes of the file's library that this project does not define yet
+  Object.keys(importedLibrary).forEach((code) => {
+    if (!Object.prototype.hasOwnProperty.call(codeLibrary, code)) {
+      codeLibrary[code] = importedLibrary[code];
+    }
+  });
+  updateCodeLibraryOptions();
+
+  const usedGroupIds = new Set(merge ? Object.keys(groups) : []);
+  const usedPointIds = new Set();
+  if (merge) {
+    Object.values(groups).forEach((group) =>
+      group.points.forEach((point) => usedPointIds.add(point.id))
+    );
+  }
+
+  // Keep generated ids clear of the imported ones
+  Object.values(imported).forEach((group) =>
+    group.points.forEach((point) => {
+      if (typeof point.id === "number") {
+        lastGeneratedId = Math.max(lastGeneratedId, point.id);
+      }
+    })
+  );
+
+  const newGroups = merge ? { ...groups } : {};
+  let renamedGroups = 0;
+  let renumberedPoints = 0;
+  let pointCount = 0;
+  let firstGroupId = null;
+  Object.keys(imported).forEach((importedId) => {
+    let groupId = importedId;
+    if (usedGroupIds.has(groupId)) {
+      groupId = "group_" + generateId();
+      renamedGroups++;
+    }
+    usedGroupIds.add(groupId);
+    if (importedId === importedCurrentGroup || !firstGroupId) {
+      firstGroupId = groupId;
+    }
+
+    const group = imported[importedId];
+    const points = group.points.map((point) => {
+      let id = point.id;
+      if (id === undefined || id === null || usedPointIds.has(id)) {
+        id = generateId();
+        renumberedPoints++;
+      }
+      usedPointIds.add(id);
+      return { ...point, id, group: groupId };
+    });
+    pointCount += points.length;
+
+    newGroups[groupId] = {
+      ...group,
+      color: /^#[0-9a-f]{6}$/i.test(group.color || "")
+        ? group.color
+        : GROUP_COLORS[Object.keys(newGroups).length % GROUP_COLORS.length],
+      points,
+    };
+  });
+
+  loadGroups(newGroups, merge ? firstGroupId : importedCurrentGroup);
+  scheduleSave();
+
+  const groupCount = Object.keys(imported).length;
+  alert(
+    `Successfully ${
+      merge ? "merged" : "imported"
+    } ${groupCount} groups with ${pointCount} total points!` +
+      (renamedGroups + renumberedPoints > 0
+        ? ` ${renamedGroups} group and ${renumberedPoints} point ids were already in use and have been renumbered.`
+        : "")
+  );
+}
+
+// Clear all data without confirmation (for import)
+function clearAllData() {
+  // Clear markers
+  Object.values(markers).forEach((marker) => {
+    map.removeLayer(marker);
+  });
+  markers = {};
+
+  // Clear polylines and distance labels
+  Object.keys(polylines).forEach(removeGroupLayers);
+
+  // Clear groups
+  groups = {};
+  currentGroup = null;
+
+  // Clear calculations
+  document.getElementById("distanceResults").innerHTML = "";
+}
+
+// Replace the map, sidebar and calculations with a set of groups, selecting
+// the given group or the first available one
+function loadGroups(newGroups, newCurrentGroup, fitMap = true) {
+  clearAllData();
+  groups = newGroups || {};
+  syncPointSymbols();
+
+  // Recreate markers and polylines
+  Object.keys(groups).forEach((groupId) => {
+    groups[groupId].points.forEach((point) => {
+      addMarkerToMap(point, false);
+    });
+  });
+
+  const groupKeys = Object.keys(groups);
+  currentGroup = groups[newCurrentGroup]
+    ? newCurrentGroup
+    : groupKeys.length > 0
+    ? groupKeys[0]
+    : null;
+
+  // Update calculations and groups list
+  updateCalculations();
+  updateGroupsList();
+  updateSummaryCalculations();
+  if (fitMap) fitMapToMarkers();
+}
+
+// Open the most recently used project, creating one on first run
+async function restoreProjects() {
+  try {
+    const projects = await window.projectStore.listProjects();
+    if (projects.length === 0) {
+      const project = newProjectRecord("My Project");
+      await window.projectStore.saveProject(project);
+      await openProject(project.id);
+      return;
+    }
+    projects.sort((a, b) => (b.lastOpened || 0) - (a.lastOpened || 0));
+    await openProject(projects[0].id);
+  } catch (error) {
+    handleStorageError(error);
+    updateGroupsList();
+  }
+}
+
+// Build an empty project record
+function newProjectRecord(name) {
+  const now = new Date().toISOString();
+  return {
+    id: "project_" + Date.now(),
+    name: name,
+    groups: {},
+    currentGroup: null,
+    codeLibrary: JSON.parse(JSON.stringify(DEFAULT_CODE_LIBRARY)),
+    createdAt: now,
+    updatedAt: now,
+    lastOpened: Date.now(),
+  };
+}
+
+// Save the current project and load another one into the map and sidebar
+async function openProject(projectId) {
+  try {
+    await saveCurrentProject();
+    const project = await window.projectStore.loadProject(projectId);
+    if (!project) return;
+
+    currentProject = project;
+    clearHistory();
+    // Projects saved before the code library get the default codes
+    codeLibrary =
+      project.codeLibrary || JSON.parse(JSON.stringify(DEFAULT_CODE_LIBRARY));
+    codeFilter = null;
+    updateCodeLibraryOptions();
+    loadGroups(project.groups, project.currentGroup);
+    project.lastOpened = Date.now();
+    await window.projectStore.saveProject(project);
+    await updateProjectSelect();
+  } catch (error) {
+    handleStorageError(error);
+  }
+}
+
+// Save the current project shortly after a change
+function scheduleSave() {
+  if (!currentProject) return;
+  clearTimeout(saveTimer);
+  setSaveStatus("Saving…");
+  saveTimer = setTimeout(saveCurrentProject, 300);
+}
+
+// Save the current project immediately
+async function saveCurrentProject() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (!currentProject) return;
+
+  currentProject.groups = groups;
+  currentProject.currentGroup = currentGroup;
+  currentProject.codeLibrary = codeLibrary;
+  currentProject.updatedAt = new Date().toISOString();
+  try {
+    await window.projectStore.saveProject(currentProject);
+    setSaveStatus("All changes saved");
+  } catch (error) {
+    handleStorageError(error);
+  }
+}
+
+// Show the save state next to the project switcher
+function setSaveStatus(text) {
+  document.getElementById("saveStatus").textContent = text;
+}
+
+// Report storage failures; the app keeps working without saving
+function handleStorageError(error) {
+  console.error("Storage error:", error);
+  setSaveStatus("Automatic saving unavailable");
+}
+
+// Remember the current groups and code library before an edit so it can
+// be undone
+function recordHistory(label) {
+  undoStack.push({ label, ...snapshotProject() });
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  redoStack = [];
+  updateHistoryButtons();
+}
+
+// Deep copy of the current groups, selection and code library
+function snapshotProject() {
+  return {
+    groups: JSON.parse(JSON.stringify(groups)),
+    currentGroup: currentGroup,
+    codeLibrary: JSON.parse(JSON.stringify(codeLibrary)),
+  };
+}
+
+// Restore the groups as they were before the last edit
+function undo() {
+  const entry = undoStack.pop();
+  if (!entry) return;
+  redoStack.push({ label: entry.label, ...snapshotProject() });
+  restoreHistoryEntry(entry);
+}
+
+// Repeat the last undone edit
+function redo() {
+  const entry = redoStack.pop();
+  if (!entry) return;
+  undoStack.push({ label: entry.label, ...snapshotProject() });
+  restoreHistoryEntry(entry);
+}
+
+// Rebuild the map, sidebar, calculations and code lists from a history
+// snapshot, keeping the current map view
+function restoreHistoryEntry(entry) {
+  codeLibrary = entry.codeLibrary;
+  updateCodeLibraryOptions();
+  renderCodeLibrary();
+  loadGroups(entry.groups, entry.currentGroup, false);
+  updateHistoryButtons();
+  scheduleSave();
+}
+
+// Forget the history (when another project is opened)
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  updateHistoryButtons();
+}
+
+// Enable the undo / redo buttons and name the edit they apply to
+function updateHistoryButtons() {
+  const undoBtn = document.getElementById("undo");
+  const redoBtn = document.getElementById("redo");
+  const lastUndo = undoStack[undoStack.length - 1];
+  const lastRedo = redoStack[redoStack.length - 1];
+  undoBtn.disabled = !lastUndo;
+  redoBtn.disabled = !lastRedo;
+  undoBtn.title = lastUndo
+    ? `Undo ${lastUndo.label} (Ctrl+Z)`
+    : "Undo (Ctrl+Z)";
+  redoBtn.title = lastRedo
+    ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)`
+    : "Redo (Ctrl+Shift+Z)";
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes); text fields
+// keep their own undo and nothing changes behind an open dialog
+function handleHistoryShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (e.target.closest && e.target.closest("input, textarea, select")) return;
+  const dialogOpen = [
+    "csvImportDialog",
+    "projectImportDialog",
+    "reportDialog",
+    "georefDialog",
+    "codeLibraryDialog",
+  ].some((id) => document.getElementById(id).style.display !== "none");
+  if (dialogOpen) return;
+
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if ((key === "z" && e.shiftKey) || key === "y") {
+    e.preventDefault();
+    redo();
+  }
+}
+
+// Refresh the project switcher options
+async function updateProjectSelect() {
+  const select = document.getElementById("projectSelect");
+  const projects = await window.projectStore.listProjects();
+  projects.sort((a, b) => a.name.localeCompare(b.name));
+
+  select.innerHTML = "";
+  projects.forEach((project) => {
+    const option = document.createElement("option");
+    option.value = project.id;
+    option.textContent = project.name;
+    select.appendChild(option);
+  });
+  if (currentProject) select.value = currentProject.id;
+}
+
+// Create a new empty project and open it
+async function createProject() {
+  const name = prompt("Enter a name for the new project:");
+  if (name === null || !name.trim()) return;
+
+  try {
+    const project = newProjectRecord(name.trim());
+    await window.projectStore.saveProject(project);
+    await openProject(project.id);
+  } catch (error) {
+    handleStorageError(error);
+  }
+}
+
+// Rename the current project
+async function renameProject() {
+  if (!currentProject) return;
+  const name = prompt("Enter a new name for the project:", currentProject.name);
+  if (name === null || !name.trim()) return;
+
+  currentProject.name = name.trim();
+  await saveCurrentProject();
+  await updateProjectSelect();
+}
+
+// Copy the current project, including all its groups, and open the copy
+async function duplicateProject() {
+  if (!currentProject) return;
+
+  try {
+    await saveCurrentProject();
+    const copy = JSON.parse(JSON.stringify(currentProject));
+    copy.id = "project_" + Date.now();
+    copy.name = `${currentProject.name} (copy)`;
+    copy.createdAt = new Date().toISOString();
+    await window.projectStore.saveProject(copy);
+    await openProject(copy.id);
+  } catch (error) {
+    handleStorageError(error);
+  }
+}
+
+// Delete the current project and open the most recent remaining one
+async function deleteProject() {
+  if (!currentProject) return;
+  if (
+    !confirm(
+      `Are you sure you want to delete the project "${currentProject.name}" and all its groups?`
+    )
+  ) {
+    return;
+  }
+
+  try {
+    clearTimeout(saveTimer);
+    await window.projectStore.deleteProjectRecord(currentProject.id);
+    currentProject = null;
+    await restoreProjects();
+  } catch (error) {
+    handleStorageError(error);
+  }
+}
+
+// Read a delimited text file and open the CSV import dialog for it
+function handleCsvFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = function (e) {
+    openCsvImportDialog(file.name, e.target.result);
+  };
+  reader.readAsText(file);
+
+  // Allow the same file to be chosen again
+  e.target.value = "";
+}
+
+// Open the CSV import dialog with detected delimiter and header settings
+function openCsvImportDialog(fileName, text) {
+  const { detectDelimiter } = window.fileFormats;
+  csvImport = { fileName, text, rows: [], mapping: {} };
+
+  document.getElementById("csvFileName").textContent = fileName;
+  document.getElementById("csvDelimiter").value = detectDelimiter(text);
+  fillCoordSystemOptions(
+    document.getElementById("csvCoordSystem"),
+    getSelectedCoordSystem()
+  );
+
+  // Target group: existing groups or a new group named after the file
+  const groupSelect = document.getElementById("csvTargetGroup");
+  groupSelect.innerHTML = "";
+  const newOption = document.createElement("option");
+  newOption.value = "";
+  newOption.textContent = `New group "${fileName.replace(/\.[^.]+$/, "")}"`;
+  groupSelect.appendChild(newOption);
+  // Locked groups cannot take the points
+  Object.keys(groups)
+    .filter((groupId) => !isGroupLocked(groupId))
+    .forEach((groupId) => {
+      const option = document.createElement("option");
+      option.value = groupId;
+      option.textContent = groups[groupId].name;
+      groupSelect.appendChild(option);
+    });
+  groupSelect.value =
+    currentGroup && !isGroupLocked(currentGroup) ? currentGroup : "";
+
+  document.getElementById("csvReport").innerHTML = "";
+  document.getElementById("csvImportConfirm").style.display = "";
+  document.getElementById("csvImportCancel").textContent = "Cancel";
+  parseCsvImport(true);
+  document.getElementById("csvImportDialog").style.display = "flex";
+}
+
+// Show the progress (0-1) of converting imported coordinates in one of the
+// progress bars, or hide it (null)
+function setImportProgress(elementId, fraction) {
+  const progress = document.getElementById(elementId);
+  progress.style.display = fraction === null ? "none" : "";
+  if (fraction === null) return;
+  progress.querySelector("progress").value = fraction;
+  progress.querySelector(
+    "span"
+  ).textContent = `Converting coordinates… ${Math.round(fraction * 100)}%`;
+}
+
+// Close the CSV import dialog and drop the parsed file
+function closeCsvImportDialog() {
+  document.getElementById("csvImportDialog").style.display = "none";
+  csvImport = null;
+}
+
+// Parse the file with the chosen delimiter and refresh mapping and preview.
+// Header detection only runs when the dialog opens or the delimiter changes.
+function parseCsvImport(e) {
+  const { parseDelimitedText, detectHeader, guessColumnMapping } =
+    window.fileFormats;
+  const headerCheckbox = document.getElementById("csvHasHeader");
+  csvImport.rows = parseDelimitedText(
+    csvImport.text,
+    document.getElementById("csvDelimiter").value
+  );
+  if (e === true || (e && e.target.id === "csvDelimiter")) {
+    headerCheckbox.checked = detectHeader(csvImport.rows);
+  }
+  csvImport.mapping = guessColumnMapping(
+    csvImport.rows,
+    headerCheckbox.checked
+  );
+  renderCsvMapping();
+  renderCsvPreview();
+}
+
+// Render one select per point field listing the file's columns
+function renderCsvMapping() {
+  const container = document.getElementById("csvColumnMapping");
+  container.innerHTML = "";
+  const hasHeader = document.getElementById("csvHasHeader").checked;
+  const columnCount = csvImport.rows.reduce(
+    (max, row) => Math.max(max, row.fields.length),
+    0
+  );
+  const fieldLabels = {
+    name: "Name",
+    easting: "Easting / Longitude",
+    northing: "Northing / Latitude",
+    height: "Height",
+    code: "Code",
+  };
+
+  Object.keys(fieldLabels).forEach((field) => {
+    const label = document.createElement("label");
+    label.textContent = fieldLabels[field];
+    const select = document.createElement("select");
+    const noneOption = document.createElement("option");
+    noneOption.value = "-1";
+    noneOption.textContent = "— none —";
+    select.appendChild(noneOption);
+    for (let i = 0; i < columnCount; i++) {
+      const option = document.createElement("option");
+      option.value = String(i);
+      const header =
+        hasHeader && csvImport.rows[0] ? csvImport.rows[0].fields[i] : "";
+      option.textContent = header
+        ? `Column ${i + 1} (${header})`
+        : `Column ${i + 1}`;
+      select.appendChild(option);
+    }
+    select.value = String(csvImport.mapping[field]);
+    select.addEventListener("change", () => {
+      csvImport.mapping[field] = parseInt(select.value);
+      renderCsvPreview();
+    });
+    label.appendChild(select);
+    container.appendChild(label);
+  });
+}
+
+// Render the first rows of the file with the mapped field of each column
+function renderCsvPreview() {
+  const table = document.getElementById("csvPreview");
+  table.innerHTML = "";
+  const hasHeader = document.getElementById("csvHasHeader").checked;
+  const dataRows = csvImport.rows.slice(hasHeader ? 1 : 0);
+  const columnCount = csvImport.rows.reduce(
+    (max, row) => Math.max(max, row.fields.length),
+    0
+  );
+
+  const headRow = document.createElement("tr");
+  for (let i = 0; i < columnCount; i++) {
+    const th = document.createElement("th");
+    const field = Object.keys(csvImport.mapping).find(
+      (key) => csvImport.mapping[key] === i
+    );
+    th.textContent = field || "—";
+    th.className = field ? "mapped" : "";
+    headRow.appendChild(th);
+  }
+  table.appendChild(headRow);
+
+  dataRows.slice(0, 10).forEach((row) => {
+    const tr = document.createElement("tr");
+    for (let i = 0; i < columnCount; i++) {
+      const td = document.createElement("td");
+      td.textContent = row.fields[i] !== undefined ? row.fields[i] : "";
+      tr.appendChild(td);
+    }
+    table.appendChild(tr);
+  });
+
+  document.getElementById("csvRowCount").textContent = `${
+    dataRows.length
+  } data row${dataRows.length !== 1 ? "s" : ""}`;
+}
+
+// Check a converted input position against the source zone and the zones
+// points can be stored in; returns a rejection reason or null
+function checkImportedPosition(coordSystem, lng) {
+  const projection = window.coordSys.getCRS(coordSystem).projection;
+  if (
+    projection &&
+    Math.abs(lng - projection.lon0) > 3 + ZONE_LONGITUDE_TOLERANCE
+  ) {
+    return `outside ${window.coordSys.getCRS(coordSystem).name}`;
+  }
+  const zone = Math.floor((lng + 180) / 6) + 1;
+  if (
+    !projection &&
+    (zone < SUPPORTED_ZONES[0] ||
+      zone > SUPPORTED_ZONES[SUPPORTED_ZONES.length - 1])
+  ) {
+    return "outside the supported UTM zones";
+  }
+  return null;
+}
+
+// Convert the mapped rows into points of the target group and report the
+// rows that were rejected
+async function runCsvImport() {
+  const { isNumeric } = window.fileFormats;
+  const mapping = csvImport.mapping;
+  if (mapping.easting === -1 || mapping.northing === -1) {
+    alert("Please map the easting and northing columns");
+    return;
+  }
+
+  const coordSystem = document.getElementById("csvCoordSystem").value;
+  const geographic = !window.coordSys.isProjected(coordSystem);
+  const hasHeader = document.getElementById("csvHasHeader").checked;
+  const dataRows = csvImport.rows.slice(hasHeader ? 1 : 0);
+  const headerFields = hasHeader ? csvImport.rows[0].fields : [];
+  const mappedColumns = Object.values(mapping);
+  const fileName = csvImport.fileName;
+
+  // Check the fields of every row, then convert the coordinates of the
+  // valid rows in one batch
+  const rejected = [];
+  const candidates = [];
+  dataRows.forEach((row) => {
+    const field = (name) =>
+      mapping[name] === -1 ? "" : row.fields[mapping[name]] || "";
+    const x = field("easting");
+    const y = field("northing");
+    if (!isNumeric(x) || !isNumeric(y)) {
+      rejected.push({ line: row.line, reason: "non-numeric coordinates" });
+      return;
+    }
+    if (geographic && (Math.abs(Number(x)) > 180 || Math.abs(Number(y)) > 90)) {
+      rejected.push({
+        line: row.line,
+        reason: "latitude/longitude out of range",
+      });
+      return;
+    }
+    candidates.push({ row, field, x: Number(x), y: Number(y) });
+  });
+
+  const confirmButton = document.getElementById("csvImportConfirm");
+  confirmButton.disabled = true;
+  setImportProgress("csvProgress", 0);
+  let resolvedPoints;
+  try {
+    resolvedPoints = await resolveInputCoordinatesBatch(
+      coordSystem,
+      Float64Array.from(candidates, ({ x }) => x),
+      Float64Array.from(candidates, ({ y }) => y),
+      Float64Array.from(candidates, ({ field }) =>
+        isNumeric(field("height")) ? Number(field("height")) : 0
+      ),
+      (fraction) => setImportProgress("csvProgress", fraction)
+    );
+  } catch (error) {
+    alert(`Error converting coordinates: ${error.message}`);
+    console.error("CSV import error:", error);
+    return;
+  } finally {
+    confirmButton.disabled = false;
+    setImportProgress("csvProgress", null);
+  }
+  // The dialog was cancelled while converting
+  if (!csvImport) return;
+
+  recordHistory("import CSV");
+  let groupId = document.getElementById("csvTargetGroup").value;
+  if (!groups[groupId]) {
+    groupId = addGroup(fileName.replace(/\.[^.]+$/, ""));
+  }
+  const group = groups[groupId];
+  syncPointSymbols(candidates.length);
+
+  let imported = 0;
+  candidates.forEach(({ row, field }, index) => {
+    const resolved = resolvedPoints[index];
+    const reason = checkImportedPosition(coordSystem, resolved.lng);
+    if (reason) {
+      rejected.push({ line: row.line, reason });
+      return;
+    }
+
+    const point = buildPoint(
+      groupId,
+      field("name") || `Point ${Object.keys(markers).length + 1}`,
+      resolved
+    );
+    const height = field("height");
+    if (isNumeric(height)) point.height = Number(height);
+    const code = field("code");
+    if (code) point.code = code;
+    // Columns that are not mapped become attributes named by the header
+    if (hasHeader) {
+      const attributes = {};
+      headerFields.forEach((title, column) => {
+        const value = row.fields[column] || "";
+        if (title && value && !mappedColumns.includes(column)) {
+          attributes[title] = value;
+        }
+      });
+      if (Object.keys(attributes).length > 0) point.attributes = attributes;
+    }
+
+    group.points.push(point);
+    addMarkerToMap(point, false);
+    imported++;
+  });
+  rejected.sort((a, b) => a.line - b.line);
+  fitMapToMarkers();
+
+  currentGroup = groupId;
+  updateCalculations(groupId);
+  updateGroupsList();
+  scheduleSave();
+
+  // Show the import report in the dialog
+  const report = document.getElementById("csvReport");
+  report.innerHTML = "";
+  const summary = document.createElement("p");
+  summary.innerHTML = `<strong>Imported ${imported} point${
+    imported !== 1 ? "s" : ""
+  } into "${escapeHtml(group.name)}".</strong> ${rejected.length} row${
+    rejected.length !== 1 ? "s" : ""
+  } rejected.`;
+  report.appendChild(summary);
+  if (rejected.length > 0) {
+    const list = document.createElement("ul");
+    rejected.forEach(({ line, reason }) => {
+      const item = document.createElement("li");
+      item.textContent = `Line ${line}: ${reason}`;
+      list.appendChild(item);
+    });
+    report.appendChild(list);
+  }
+  document.getElementById("csvImportConfirm").style.display = "none";
+  document.getElementById("csvImportCancel").textContent = "Close";
+}
+
+// Build a GeoJSON FeatureCollection (RFC 7946, WGS84 lon/lat) of groups:
+// a Point feature per point and a LineString or Polygon feature per group
+function buildGeoJSON(groupIds) {
+  const features = [];
+  groupIds.forEach((groupId) => {
+    const group = groups[groupId];
+
+    group.points.forEach((point) => {
+      const properties = {
+        name: point.name,
+        easting: point.easting,
+        northing: point.northing,
+        zone: getPointZone(point),
+        group: group.name,
+        groupId: groupId,
+      };
+      if (point.height !== undefined) properties.height = point.height;
+      if (point.code !== undefined) properties.code = point.code;
+      // Attributes never replace the properties above
+      Object.keys(point.attributes || {}).forEach((key) => {
+        if (!(key in properties)) properties[key] = point.attributes[key];
+      });
+      features.push({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [point.lng, point.lat] },
+        properties,
+      });
+    });
+
+    if (group.points.length < 2) return;
+    const coordinates = group.points.map((point) => [point.lng, point.lat]);
+    const segments = getGroupSegments(group);
+    const parcel = isParcel(group);
+    const properties = {
+      name: group.name,
+      groupId: groupId,
+      color: group.color,
+      ...window.fileFormats.validateGroupStyle(group),
+      closed: parcel,
+      length_m: segments.reduce(
+        (total, [p1, p2]) => total + calculateDistance(p1, p2),
+        0
+      ),
+      grid_length_m: segments.reduce(
+        (total, [p1, p2]) => total + calculateGridDistance(p1, p2),
+        0
+      ),
+    };
+    if (parcel) {
+      properties.area_grid_m2 = calculateGridArea(group.points);
+      properties.area_ellipsoidal_m2 = calculateEllipsoidalArea(group.points);
+    }
+    features.push({
+      type: "Feature",
+      geometry: parcel
+        ? { type: "Polygon", coordinates: [[...coordinates, coordinates[0]]] }
+        : { type: "LineString", coordinates },
+      properties,
+    });
+  });
+
+  return { type: "FeatureCollection", features };
+}
+
+// Export one group, or the whole project, as GeoJSON
+function exportGeoJSON(groupId) {
+  const groupIds = groupId ? [groupId] : Object.keys(groups);
+  if (groupIds.length === 0) {
+    alert("There are no groups to export");
+    return;
+  }
+  const name = groupId
+    ? groups[groupId].name
+    : currentProject
+    ? currentProject.name
+    : "coordinate_data";
+  downloadFile(
+    JSON.stringify(buildGeoJSON(groupIds), null, 2),
+    `${safeFileName(name)}.geojson`,
+    "application/geo+json"
+  );
+}
+
+// Read a GeoJSON file and add its features as new groups
+function handleGeoJSONFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = async function (e) {
+    try {
+      await importGeoJSON(JSON.parse(e.target.result), file.name);
+    } catch (error) {
+      alert(`Error reading GeoJSON file: ${error.message}`);
+      console.error("GeoJSON import error:", error);
+    }
+  };
+  reader.readAsText(file);
+
+  // Allow the same file to be chosen again
+  e.target.value = "";
+}
+
+// Create groups from parsed GeoJSON. Coordinates are read in the declared
+// CRS (WGS84 when none); points carrying PSD93 / UTM easting/northing
+// properties from our own export keep them exactly while the geometry still
+// agrees with them.
+async function importGeoJSON(data, fileName) {
+  const baseName = fileName.replace(/\.[^.]+$/, "");
+  const { epsg, groups: parsedGroups } = window.fileFormats.parseGeoJSON(
+    data,
+    baseName
+  );
+  const crs = window.coordSys.listCRS().find((c) => c.epsg === epsg);
+  if (!crs) {
+    throw new Error(`EPSG:${epsg} is not a registered coordinate system`);
+  }
+
+  await addParsedGroups(parsedGroups, crs.id, (raw, resolved, h) => {
+    const props = raw.properties;
+    if (
+      typeof props.easting !== "number" ||
+      typeof props.northing !== "number" ||
+      !isPointCoordSystem(`utm${props.zone}`)
+    ) {
+      return resolved;
+    }
+
+    // The geometry wins over properties it no longer agrees with, e.g.
+    // after the point was moved in another GIS
+    const geometry =
+      resolved.zone === props.zone
+        ? resolved
+        : latLngToUTM(resolved.lat, resolved.lng, props.zone, h);
+    const offset = Math.hypot(
+      geometry.easting - props.easting,
+      geometry.northing - props.northing
+    );
+    if (offset > GEOJSON_PROPERTY_TOLERANCE) return resolved;
+    return resolveInputCoordinates(
+      `utm${props.zone}`,
+      props.easting,
+      props.northing,
+      h
+    );
+  });
+}
+
+// Create groups from groups parsed out of a file ({ name, color, closed,
+// points: [{ name, x, y, z, properties }] }), reading x/y in a coordinate
+// system. The coordinates are converted in the transform worker with a
+// progress bar under the import buttons; refine(raw, resolved, h) may then
+// replace a point's converted { easting, northing, lat, lng, zone }.
+async function addParsedGroups(parsedGroups, coordSystem, refine) {
+  const rawPoints = [];
+  const inputs = [];
+  parsedGroups.forEach((parsed) =>
+    parsed.points.forEach((raw) => {
+      const props = raw.properties || {};
+      const height = props.height !== undefined ? props.height : raw.z;
+      if (typeof raw.x !== "number" || typeof raw.y !== "number") return;
+      rawPoints.push(raw);
+      inputs.push({
+        coordSystem,
+        x: raw.x,
+        y: raw.y,
+        h: typeof height === "number" ? height : 0,
+      });
+    })
+  );
+
+  setImportProgress("fileImportProgress", 0);
+  let resolvedPoints;
+  try {
+    resolvedPoints = await resolveInputCoordinatesBySystem(inputs, (fraction) =>
+      setImportProgress("fileImportProgress", fraction)
+    );
+  } finally {
+    setImportProgress("fileImportProgress", null);
+  }
+  const resolvedByRaw = new Map(
+    rawPoints.map((raw, index) => [
+      raw,
+      refine
+        ? refine(
+            { ...raw, properties: raw.properties || {} },
+            resolvedPoints[index],
+            inputs[index].h
+          )
+        : resolvedPoints[index],
+    ])
+  );
+
+  recordHistory("import");
+  syncPointSymbols(
+    parsedGroups.reduce((count, parsed) => count + parsed.points.length, 0)
+  );
+  let groupCount = 0;
+  let pointCount = 0;
+  let skipped = 0;
+  parsedGroups.forEach((parsed) => {
+    const groupId = addGroup(parsed.name);
+    const group = groups[groupId];
+    if (/^#[0-9a-f]{6}$/i.test(parsed.color || "")) group.color = parsed.color;
+    Object.assign(group, window.fileFormats.validateGroupStyle(parsed));
+    group.closed = !!parsed.closed;
+
+    parsed.points.forEach((raw) => {
+      const props = raw.properties || {};
+      const resolved = resolvedByRaw.get(raw);
+      if (!resolved) {
+        skipped++;
+        return;
+      }
+
+      const point = buildPoint(groupId, raw.name, resolved);
+      const height = props.height !== undefined ? props.height : raw.z;
+      if (typeof height === "number") point.height = height;
+      if (props.code !== undefined) point.code = String(props.code);
+      const attributes = getImportedAttributes(props);
+      if (attributes) point.attributes = attributes;
+      group.points.push(point);
+      addMarkerToMap(point, false);
+      pointCount++;
+    });
+    groupCount++;
+  });
+
+  if (groupCount > 0) {
+    currentGroup = Object.keys(groups)[Object.keys(groups).length - 1];
+  }
+  fitMapToMarkers();
+  updateCalculations();
+  updateGroupsList();
+  scheduleSave();
+
+  alert(
+    `Successfully imported ${groupCount} groups with ${pointCount} total points!` +
+      (skipped > 0
+        ? ` ${skipped} point${
+            skipped !== 1 ? "s" : ""
+          } without usable coordinates skipped.`
+        : "")
+  );
+}
 
-    // Remove the group
-    delete groups[groupId];
+// Properties that are names, coordinates, heights or codes (as written by
+// our exports) rather than attributes of imported points
+const RESERVED_PROPERTIES = [
+  "name",
+  "Name",
+  "NAME",
+  "label",
+  "id",
+  "ID",
+  "easting",
+  "northing",
+  "zone",
+  "group",
+  "groupId",
+  "height",
+  "code",
+];
 
-    // If this was the current group, select the first available group
-    if (currentGroup === groupId) {
-      const remainingGroups = Object.keys(groups);
-      currentGroup = remainingGroups.length > 0 ? remainingGroups[0] : null;
+// Attributes of an imported point from the remaining properties of its
+// feature, or null when there are none
+function getImportedAttributes(properties) {
+  const attributes = {};
+  Object.keys(properties).forEach((key) => {
+    const value = properties[key];
+    if (
+      RESERVED_PROPERTIES.includes(key) ||
+      value === null ||
+      value === undefined ||
+      typeof value === "object"
+    ) {
+      return;
     }
+    attributes[key] = String(value);
+  });
+  return Object.keys(attributes).length > 0 ? attributes : null;
+}
 
-    // Update calculations and groups list
-    updateCalculations();
-    updateGroupsList();
-    fitMapToMarkers();
+// Code and attributes of a point as one set of fields for export
+function getPointProperties(point) {
+  const properties = { ...(point.attributes || {}) };
+  if (point.code !== undefined) properties.code = point.code;
+  return properties;
+}
 
-    console.log(`Group "${groupName}" with ${pointCount} points deleted`);
+// Export one group, or the whole project, as DXF in PSD93 / UTM grid
+// coordinates: a layer per group with POINT, TEXT and POLYLINE entities.
+// Everything is written in the zone of the first point.
+function exportDXF(groupId) {
+  const groupIds = groupId ? [groupId] : Object.keys(groups);
+  const firstPoint = groupIds
+    .map((id) => groups[id].points[0])
+    .find((point) => point);
+  if (!firstPoint) {
+    alert("There are no points to export");
+    return;
   }
+
+  const zone = getPointZone(firstPoint);
+  const layerNames = new Set();
+  const layers = groupIds.map((id) => {
+    const group = groups[id];
+    // Groups with the same name get their own layers
+    let name = group.name;
+    for (let n = 2; layerNames.has(name); n++) name = `${group.name} (${n})`;
+    layerNames.add(name);
+
+    const points = group.points.map((point) => {
+      const { easting, northing } = getPointGrid(point, zone);
+      return {
+        name: point.name,
+        x: easting,
+        y: northing,
+        z: point.height,
+        properties: getPointProperties(point),
+      };
+    });
+    return {
+      name,
+      color: group.color,
+      points,
+      path: points.length >= 2 ? points : null,
+      closed: isParcel(group),
+    };
+  });
+
+  const name = groupId
+    ? groups[groupId].name
+    : currentProject
+    ? currentProject.name
+    : "coordinate_data";
+  downloadFile(
+    window.fileFormats.buildDXF(
+      layers,
+      `Coordinate system: ${window.coordSys.getCRS(`utm${zone}`).name}`
+    ),
+    `${safeFileName(name)}.dxf`,
+    "application/dxf"
+  );
 }
 
-// Switch between calculation tabs
-function switchTab(tabName) {
-  // Remove active class from all tabs and content
-  document
-    .querySelectorAll(".tab-btn")
-    .forEach((btn) => btn.classList.remove("active"));
-  document
-    .querySelectorAll(".tab-content")
-    .forEach((content) => content.classList.remove("active"));
+// Read a DXF file and add its points and polylines as new groups
+function handleDXFFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
 
-  // Add active class to selected tab and content
-  document
-    .querySelector(`[onclick="switchTab('${tabName}')"]`)
-    .classList.add("active");
-  document
-    .getElementById(
-      tabName === "distances"
-        ? "distanceResults"
-        : tabName === "summary"
-        ? "summaryResults"
-        : "distanceResults"
-    )
-    .classList.add("active");
+  const reader = new FileReader();
+  reader.onload = async function (e) {
+    try {
+      await importDXF(e.target.result);
+    } catch (error) {
+      alert(`Error reading DXF file: ${error.message}`);
+      console.error("DXF import error:", error);
+    }
+  };
+  reader.readAsText(file);
 
-  // Update summary if switching to summary tab
-  if (tabName === "summary") {
-    updateSummaryCalculations();
-  }
+  // Allow the same file to be chosen again
+  e.target.value = "";
 }
 
-// Update summary calculations
-function updateSummaryCalculations() {
-  const summaryResults = document.getElementById("summaryResults");
-  summaryResults.innerHTML = "";
+// Create groups from a DXF drawing. Coordinates are read in the system
+// named by our own export's comment, or else in the selected system.
+async function importDXF(text) {
+  const { comment, groups: parsedGroups } = window.fileFormats.parseDXF(text);
+  const match = comment.match(/^Coordinate system: (.+)$/);
+  const crs = match
+    ? window.coordSys.listCRS().find((c) => c.name === match[1])
+    : null;
+  await addParsedGroups(parsedGroups, crs ? crs.id : getSelectedCoordSystem());
+}
 
-  let totalPoints = 0;
-  let totalDistance = 0;
-  let groupsWithDistances = 0;
+// Export one group, or the whole project, as KML for Google Earth: a Folder
+// per group with a Placemark per point and the group path, optionally with
+// distance labels at the middle of each segment
+function exportKML(groupId) {
+  const groupIds = groupId ? [groupId] : Object.keys(groups);
+  if (!groupIds.some((id) => groups[id].points.length > 0)) {
+    alert("There are no points to export");
+    return;
+  }
+  const withLabels = confirm("Include distance labels for each segment?");
 
-  Object.keys(groups).forEach((groupId) => {
-    const group = groups[groupId];
-    totalPoints += group.points.length;
+  const folders = groupIds.map((id) => {
+    const group = groups[id];
+    const points = group.points.map((point) => {
+      const zone = getPointZone(point);
+      return {
+        name: point.name,
+        lat: point.lat,
+        lng: point.lng,
+        height: hasHeight(point) ? point.height : undefined,
+        description:
+          `Easting: ${point.easting.toFixed(3)} m<br>` +
+          `Northing: ${point.northing.toFixed(3)} m<br>` +
+          (hasHeight(point) ? `Height: ${point.height.toFixed(3)} m<br>` : "") +
+          window.coordSys.getCRS(`utm${zone}`).name,
+        data: getPointProperties(point),
+      };
+    });
+    const labels = withLabels
+      ? getGroupSegments(group).map(([point1, point2]) => ({
+          lat: (point1.lat + point2.lat) / 2,
+          lng: (point1.lng + point2.lng) / 2,
+          text: `${measureDistance(point1, point2).toFixed(1)}m`,
+        }))
+      : [];
+    return {
+      name: group.name,
+      color: group.color,
+      ...window.fileFormats.validateGroupStyle(group),
+      closed: isParcel(group),
+      points,
+      labels,
+    };
+  });
 
-    // Calculate total distance
-    for (let i = 0; i < group.points.length - 1; i++) {
-      totalDistance += calculateDistance(group.points[i], group.points[i + 1]);
-    }
+  const name = groupId
+    ? groups[groupId].name
+    : currentProject
+    ? currentProject.name
+    : "coordinate_data";
+  downloadFile(
+    window.fileFormats.buildKML(name, folders),
+    `${safeFileName(name)}.kml`,
+    "application/vnd.google-earth.kml+xml"
+  );
+}
 
-    if (group.points.length >= 2) {
-      groupsWithDistances++;
+// Read a KML file and add its placemarks and paths as new groups
+function handleKMLFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = async function (e) {
+    try {
+      await importKML(e.target.result, file.name);
+    } catch (error) {
+      alert(`Error reading KML file: ${error.message}`);
+      console.error("KML import error:", error);
     }
-  });
+  };
+  reader.readAsText(file);
 
-  const summaryElement = document.createElement("div");
-  summaryElement.className = "calculation-item summary";
-  summaryElement.innerHTML = `
-    <h4>Project Summary</h4>
-    <div class="summary-stats">
-      <div class="summary-stat">
-        <span class="summary-stat-value">${Object.keys(groups).length}</span>
-        <span class="summary-stat-label">Groups</span>
-      </div>
-      <div class="summary-stat">
-        <span class="summary-stat-value">${totalPoints}</span>
-        <span class="summary-stat-label">Total Points</span>
-      </div>
-      <div class="summary-stat">
-        <span class="summary-stat-value">${totalDistance.toFixed(2)}</span>
-        <span class="summary-stat-label">Total Distance (m)</span>
-      </div>
-      <div class="summary-stat">
-        <span class="summary-stat-value">${groupsWithDistances}</span>
-        <span class="summary-stat-label">Groups with Distances</span>
-      </div>
-    </div>
-  `;
+  // Allow the same file to be chosen again
+  e.target.value = "";
+}
 
-  summaryResults.appendChild(summaryElement);
+// Create groups from KML placemarks. KML is always WGS84, so grid
+// coordinates come from the PSD93 datum shift and the projection of the
+// zone of each point's longitude.
+async function importKML(text, fileName) {
+  const { groups: parsedGroups } = window.fileFormats.parseKML(
+    text,
+    fileName.replace(/\.kml$/i, "")
+  );
+  await addParsedGroups(parsedGroups, "wgs84");
 }
 
-// Update calculations
-function updateCalculations() {
-  updateDistanceCalculations();
-  updateMapDistances();
+// Load a scanned plan (PNG/JPEG) and open it for georeferencing, replacing
+// any image already loaded
+function handleImageFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = function () {
+    removeImageOverlay();
+    const selected = getSelectedCoordSystem();
+    georefImage = {
+      fileName: file.name,
+      url,
+      width: image.naturalWidth,
+      height: image.naturalHeight,
+      coordSystem: window.coordSys.isProjected(selected) ? selected : "utm40",
+      method: "affine",
+      opacity: 0.6,
+      controlPoints: [],
+      transform: null,
+    };
+    updateImageOverlayControls();
+    openGeorefDialog();
+  };
+  image.onerror = function () {
+    URL.revokeObjectURL(url);
+    alert("Error reading image. Please choose a PNG or JPEG file.");
+  };
+  image.src = url;
+
+  // Allow the same file to be chosen again
+  e.target.value = "";
 }
 
-// Update distance calculations
-function updateDistanceCalculations() {
-  const distanceResults = document.getElementById("distanceResults");
-  distanceResults.innerHTML = "";
+// Open the georeferencing dialog for the loaded image
+function openGeorefDialog() {
+  if (!georefImage) return;
+  document.getElementById("georefFileName").textContent = georefImage.fileName;
 
-  Object.keys(groups).forEach((groupId) => {
-    const group = groups[groupId];
-    if (group.points.length < 2) return;
+  // Control points are given in a projected system
+  const systemSelect = document.getElementById("georefCoordSystem");
+  systemSelect.innerHTML = "";
+  window.coordSys
+    .listCRS()
+    .filter((crs) => window.coordSys.isProjected(crs.id))
+    .forEach((crs) => {
+      const option = document.createElement("option");
+      option.value = crs.id;
+      option.textContent = crs.name;
+      systemSelect.appendChild(option);
+    });
+  systemSelect.value = georefImage.coordSystem;
 
-    // Create group container
-    const groupElement = document.createElement("div");
-    groupElement.className = "calculation-group";
-    groupElement.innerHTML = `<h5>${group.name}</h5>`;
+  const methodSelect = document.getElementById("georefMethod");
+  methodSelect.innerHTML = "";
+  Object.entries(window.georef.IMAGE_TRANSFORMS).forEach(([id, method]) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = method.name;
+    methodSelect.appendChild(option);
+  });
+  methodSelect.value = georefImage.method;
 
-    let totalDistance = 0;
+  renderGeorefImage();
+  renderGeorefPoints();
+  document.getElementById("georefDialog").style.display = "flex";
+}
 
-    // Calculate distances between consecutive points
-    for (let i = 0; i < group.points.length - 1; i++) {
-      const point1 = group.points[i];
-      const point2 = group.points[i + 1];
-      const distance = calculateDistance(point1, point2);
-      totalDistance += distance;
+// Close the georeferencing dialog, keeping the image and its control points
+function closeGeorefDialog() {
+  document.getElementById("georefDialog").style.display = "none";
+}
 
-      const distanceElement = document.createElement("div");
-      distanceElement.className = "calculation-item";
-      distanceElement.innerHTML = `
-        <h4>${point1.name} to ${point2.name}</h4>
-        <div class="calculation-details">
-          <span class="calculation-value">${distance.toFixed(2)}</span>
-          <span class="calculation-unit">meters</span>
-        </div>
-      `;
+// Draw the image at the chosen zoom with its numbered control points
+function renderGeorefImage() {
+  const zoom = Number(document.getElementById("georefZoom").value);
+  const container = document.getElementById("georefImage");
+  container.innerHTML = "";
+  container.style.width = `${georefImage.width * zoom}px`;
+  container.style.height = `${georefImage.height * zoom}px`;
 
-      groupElement.appendChild(distanceElement);
-    }
+  const image = document.createElement("img");
+  image.src = georefImage.url;
+  image.alt = georefImage.fileName;
+  image.width = georefImage.width * zoom;
+  image.height = georefImage.height * zoom;
+  container.appendChild(image);
 
-    // Add total distance
-    if (group.points.length > 2) {
-      const totalElement = document.createElement("div");
-      totalElement.className = "calculation-item summary";
-      totalElement.innerHTML = `
-        <h4>Total Distance</h4>
-        <div class="calculation-details">
-          <span class="calculation-value">${totalDistance.toFixed(2)}</span>
-          <span class="calculation-unit">meters</span>
-        </div>
-      `;
-      groupElement.appendChild(totalElement);
-    }
+  georefImage.controlPoints.forEach((controlPoint, index) => {
+    const marker = document.createElement("span");
+    marker.className = "georef-marker";
+    marker.textContent = index + 1;
+    marker.style.left = `${controlPoint.x * zoom}px`;
+    marker.style.top = `${controlPoint.y * zoom}px`;
+    container.appendChild(marker);
+  });
+}
 
-    distanceResults.appendChild(groupElement);
+// Add a control point where the image was clicked
+function addGeorefControlPoint(e) {
+  if (e.target.tagName !== "IMG") return;
+  const zoom = Number(document.getElementById("georefZoom").value);
+  georefImage.controlPoints.push({
+    x: parseFloat((e.offsetX / zoom).toFixed(1)),
+    y: parseFloat((e.offsetY / zoom).toFixed(1)),
+    easting: null,
+    northing: null,
+    pointId: null,
   });
+  renderGeorefImage();
+  renderGeorefPoints();
+
+  const rows = document.querySelectorAll("#georefPoints tbody tr");
+  rows[rows.length - 1].querySelector("input").focus();
 }
 
-// Update map distances - draw polylines and add distance labels
-function updateMapDistances() {
-  // Clear existing polylines and distance labels
-  Object.keys(polylines).forEach((key) => {
-    map.removeLayer(polylines[key]);
+// Build the control point table: image position, easting/northing typed in
+// or taken from an existing point, and the residual of the fit
+function renderGeorefPoints() {
+  const table = document.getElementById("georefPoints");
+  table.innerHTML = "";
+  const header = table.createTHead().insertRow();
+  [
+    "#",
+    "Image x",
+    "Image y",
+    "Easting",
+    "Northing",
+    "Existing point",
+    "Residual",
+    "",
+  ].forEach((heading) => {
+    const th = document.createElement("th");
+    th.textContent = heading;
+    header.appendChild(th);
   });
-  Object.keys(distanceLabels).forEach((key) => {
-    distanceLabels[key].forEach(label => {
-      map.removeLayer(label);
+
+  const body = table.createTBody();
+  georefImage.controlPoints.forEach((controlPoint, index) => {
+    const row = body.insertRow();
+    row.insertCell().textContent = index + 1;
+    row.insertCell().textContent = controlPoint.x.toFixed(1);
+    row.insertCell().textContent = controlPoint.y.toFixed(1);
+
+    const inputs = ["easting", "northing"].map((key) => {
+      const input = document.createElement("input");
+      input.type = "number";
+      input.step = "0.001";
+      input.value = controlPoint[key] === null ? "" : controlPoint[key];
+      input.addEventListener("change", () => {
+        controlPoint[key] = input.value === "" ? null : Number(input.value);
+        controlPoint.pointId = null;
+        pointSelect.value = "";
+        renderGeorefResult();
+      });
+      row.insertCell().appendChild(input);
+      return input;
     });
-  });
-  polylines = {};
-  distanceLabels = {};
 
-  Object.keys(groups).forEach((groupId) => {
-    const group = groups[groupId];
-    if (group.points.length < 2) return;
+    const pointSelect = buildGeorefPointSelect();
+    pointSelect.value = controlPoint.pointId || "";
+    pointSelect.addEventListener("change", () => {
+      controlPoint.pointId = pointSelect.value
+        ? Number(pointSelect.value)
+        : null;
+      fillGeorefControlPoint(controlPoint);
+      inputs[0].value =
+        controlPoint.easting === null ? "" : controlPoint.easting;
+      inputs[1].value =
+        controlPoint.northing === null ? "" : controlPoint.northing;
+      renderGeorefResult();
+    });
+    row.insertCell().appendChild(pointSelect);
 
-    const coordinates = group.points.map((point) => [point.lat, point.lng]);
-    
-    // Draw polyline
-    const polyline = L.polyline(coordinates, {
-      color: group.color,
-      weight: 3,
-      opacity: 0.8,
-    }).addTo(map);
+    row.insertCell().className = "georef-residual";
 
-    polylines[groupId] = polyline;
-
-    // Add distance labels on the map
-    const labels = [];
-    for (let i = 0; i < group.points.length - 1; i++) {
-      const point1 = group.points[i];
-      const point2 = group.points[i + 1];
-      const distance = calculateDistance(point1, point2);
-      
-      // Calculate midpoint for label placement
-      const midLat = (point1.lat + point2.lat) / 2;
-      const midLng = (point1.lng + point2.lng) / 2;
-      
-      // Create custom icon for distance label
-      const distanceIcon = L.divIcon({
-        className: 'distance-label',
-        html: `<div style="background: white; border: 2px solid ${group.color}; color: ${group.color}; padding: 2px 6px; border-radius: 4px; font-weight: bold; font-size: 12px; white-space: nowrap;">${distance.toFixed(1)}m</div>`,
-        iconSize: [100, 20],
-        iconAnchor: [50, 10]
-      });
-      
-      const label = L.marker([midLat, midLng], {
-        icon: distanceIcon,
-        interactive: false
-      }).addTo(map);
-      
-      labels.push(label);
-    }
-    
-    distanceLabels[groupId] = labels;
+    const removeButton = document.createElement("button");
+    removeButton.textContent = "×";
+    removeButton.title = "Remove control point";
+    removeButton.addEventListener("click", () => {
+      georefImage.controlPoints.splice(index, 1);
+      renderGeorefImage();
+      renderGeorefPoints();
+    });
+    row.insertCell().appendChild(removeButton);
   });
+
+  renderGeorefResult();
 }
 
-// Calculate distance between two points (Haversine formula)
-function calculateDistance(point1, point2) {
-  const R = 6371000; // Earth's radius in meters
-  const lat1 = (point1.lat * Math.PI) / 180;
-  const lat2 = (point2.lat * Math.PI) / 180;
-  const deltaLat = ((point2.lat - point1.lat) * Math.PI) / 180;
-  const deltaLng = ((point2.lng - point1.lng) * Math.PI) / 180;
+// Build a select of the project's points, grouped by group
+function buildGeorefPointSelect() {
+  const select = document.createElement("select");
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = "—";
+  select.appendChild(none);
+  Object.values(groups).forEach((group) => {
+    if (group.points.length === 0) return;
+    const optgroup = document.createElement("optgroup");
+    optgroup.label = group.name;
+    group.points.forEach((point) => {
+      const option = document.createElement("option");
+      option.value = point.id;
+      option.textContent = point.name;
+      optgroup.appendChild(option);
+    });
+    select.appendChild(optgroup);
+  });
+  return select;
+}
 
-  const a =
-    Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
-    Math.cos(lat1) *
-      Math.cos(lat2) *
-      Math.sin(deltaLng / 2) *
-      Math.sin(deltaLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+// Take a control point's easting/northing from its existing point, in the
+// system the control points are given in
+function fillGeorefControlPoint(controlPoint) {
+  const point = controlPoint.pointId
+    ? findPointById(controlPoint.pointId)
+    : null;
+  if (!point) return;
+  const [easting, northing] = getPointCoordinatesIn(
+    point,
+    georefImage.coordSystem
+  );
+  controlPoint.easting = parseFloat(easting.toFixed(3));
+  controlPoint.northing = parseFloat(northing.toFixed(3));
+}
 
-  return R * c;
+// Change the system of the control points, converting those taken from
+// existing points
+function setGeorefCoordSystem(coordSystem) {
+  georefImage.coordSystem = coordSystem;
+  georefImage.controlPoints.forEach(fillGeorefControlPoint);
+  renderGeorefPoints();
 }
 
-// Fit map to show all markers
-function fitMapToMarkers() {
-  const markerLayers = Object.values(markers);
-  if (markerLayers.length > 0) {
-    const group = L.featureGroup(markerLayers);
-    map.fitBounds(group.getBounds().pad(0.1));
+// Fit the image's transformation to its control points that have both an
+// easting and a northing; throws when they are too few or in a line
+function fitGeoreference() {
+  const controlPoints = georefImage.controlPoints.filter(
+    (controlPoint) =>
+      Number.isFinite(controlPoint.easting) &&
+      Number.isFinite(controlPoint.northing)
+  );
+  return {
+    controlPoints,
+    fit: window.georef.fitImageTransform(controlPoints, georefImage.method),
+  };
+}
+
+// Show the residuals and summary of the current fit
+function renderGeorefResult() {
+  const report = document.getElementById("georefReport");
+  const applyButton = document.getElementById("georefApply");
+  document
+    .querySelectorAll("#georefPoints .georef-residual")
+    .forEach((cell) => (cell.textContent = ""));
+
+  let result;
+  try {
+    result = fitGeoreference();
+  } catch (error) {
+    report.textContent = error.message;
+    applyButton.disabled = true;
+    return;
   }
+
+  const { controlPoints, fit } = result;
+  const cells = document.querySelectorAll("#georefPoints .georef-residual");
+  controlPoints.forEach((controlPoint, index) => {
+    const { dE, dN, distance } = fit.residuals[index];
+    const cell = cells[georefImage.controlPoints.indexOf(controlPoint)];
+    cell.textContent = `${distance.toFixed(3)} m`;
+    cell.title = `ΔE ${dE.toFixed(3)} m, ΔN ${dN.toFixed(3)} m`;
+  });
+  report.textContent =
+    `RMS residual: ${fit.rms.toFixed(3)} m · Pixel size: ` +
+    `${fit.scaleX.toFixed(3)} × ${fit.scaleY.toFixed(3)} m · ` +
+    `Rotation: ${formatBearing(fit.rotation, 0)}`;
+  applyButton.disabled = false;
 }
 
-// Clear all data
-function clearAll() {
-  if (confirm("Are you sure you want to clear all data?")) {
-    // Clear markers
-    Object.values(markers).forEach((marker) => {
-      map.removeLayer(marker);
-    });
-    markers = {};
+// Store the fit and show the image on the map
+function applyGeoreference() {
+  try {
+    georefImage.transform = fitGeoreference().fit;
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  closeGeorefDialog();
 
-    // Clear polylines
-    Object.values(polylines).forEach((polyline) => {
-      map.removeLayer(polyline);
-    });
-    polylines = {};
+  if (!imageOverlayElement) {
+    imageOverlayElement = L.DomUtil.create(
+      "img",
+      "leaflet-image-layer leaflet-zoom-hide image-overlay",
+      map.getPane("imagePane")
+    );
+    imageOverlayElement.src = georefImage.url;
+    imageOverlayElement.alt = georefImage.fileName;
+  }
+  imageOverlayElement.style.opacity = georefImage.opacity;
+  positionImageOverlay();
+  updateImageOverlayControls();
+  map.fitBounds(getImageOverlayBounds().pad(0.1));
+}
 
-    // Clear distance labels
-    Object.keys(distanceLabels).forEach((key) => {
-      distanceLabels[key].forEach(label => {
-        map.removeLayer(label);
-      });
-    });
-    distanceLabels = {};
+// WGS84 positions of the image corners, from their grid coordinates
+function getImageCornerLatLngs() {
+  const { width, height, transform, coordSystem } = georefImage;
+  return [
+    [0, 0],
+    [width, 0],
+    [0, height],
+    [width, height],
+  ].map(([x, y]) => {
+    const { easting, northing } = window.georef.applyImageTransform(
+      transform,
+      x,
+      y
+    );
+    const { lat, lng } = resolveInputCoordinates(
+      coordSystem,
+      easting,
+      northing
+    );
+    return L.latLng(lat, lng);
+  });
+}
 
-    // Clear groups
-    groups = {};
-    currentGroup = null;
+// Bounds of the georeferenced image on the map
+function getImageOverlayBounds() {
+  return L.latLngBounds(getImageCornerLatLngs());
+}
 
-    // Create default group
-    createDefaultGroup();
+// Place the image on the map with a CSS transform through three of its
+// corners; over the extent of a plan the map projection is close enough to
+// affine
+function positionImageOverlay() {
+  if (!imageOverlayElement || !georefImage || !georefImage.transform) return;
+  const { width, height } = georefImage;
+  const [origin, right, bottom] = getImageCornerLatLngs()
+    .slice(0, 3)
+    .map((latlng) => map.latLngToLayerPoint(latlng));
+  imageOverlayElement.style.width = `${width}px`;
+  imageOverlayElement.style.height = `${height}px`;
+  imageOverlayElement.style.transform = `matrix(${
+    (right.x - origin.x) / width
+  }, ${(right.y - origin.y) / width}, ${(bottom.x - origin.x) / height}, ${
+    (bottom.y - origin.y) / height
+  }, ${origin.x}, ${origin.y})`;
+}
 
-    // Clear calculations
-    document.getElementById("distanceResults").innerHTML = "";
-  }
+// Change the opacity of the image on the map
+function setImageOpacity(opacity) {
+  if (!georefImage) return;
+  georefImage.opacity = opacity;
+  if (imageOverlayElement) imageOverlayElement.style.opacity = opacity;
 }
 
-// Export data
-function exportData() {
-  const data = {
-    groups: groups,
-    exportDate: new Date().toISOString(),
-  };
+// Remove the image from the map and forget it
+function removeImageOverlay() {
+  if (imageOverlayElement) {
+    imageOverlayElement.remove();
+    imageOverlayElement = null;
+  }
+  if (georefImage) URL.revokeObjectURL(georefImage.url);
+  georefImage = null;
+  updateImageOverlayControls();
+}
 
-  const dataStr = JSON.stringify(data, null, 2);
-  const dataBlob = new Blob([dataStr], { type: "application/json" });
+// Enable the image overlay controls and describe the loaded image
+function updateImageOverlayControls() {
+  const loaded = !!georefImage;
+  document.getElementById("editImageControlPoints").disabled = !loaded;
+  document.getElementById("removeImage").disabled = !loaded;
+  const opacity = document.getElementById("imageOpacity");
+  opacity.disabled = !loaded;
+  if (loaded) opacity.value = georefImage.opacity;
 
-  const link = document.createElement("a");
-  link.href = URL.createObjectURL(dataBlob);
-  link.download = `coordinate_data_${
-    new Date().toISOString().split("T")[0]
-  }.json`;
-  link.click();
+  const status = document.getElementById("imageOverlayStatus");
+  if (!loaded) {
+    status.textContent = "";
+  } else if (!georefImage.transform) {
+    status.textContent = `${georefImage.fileName}: not georeferenced yet`;
+  } else {
+    const method = window.georef.IMAGE_TRANSFORMS[georefImage.transform.method];
+    status.textContent = `${
+      georefImage.fileName
+    }: ${method.name.toLowerCase()}, RMS ${georefImage.transform.rms.toFixed(
+      3
+    )} m`;
+  }
 }
 
-// Import data
-function importData() {
-  const fileInput = document.getElementById("fileInput");
-  fileInput.click();
-
-  fileInput.addEventListener("change", function (e) {
-    const file = e.target.files[0];
-    if (!file) return;
-
-    const reader = new FileReader();
-    reader.onload = function (e) {
-      try {
-        const data = JSON.parse(e.target.result);
-
-        if (data.groups) {
-          // Clear existing data
-          clearAllData();
-
-          // Import groups
-          groups = data.groups;
-
-          // Recreate markers and polylines
-          Object.keys(groups).forEach((groupId) => {
-            const group = groups[groupId];
-            group.points.forEach((point) => {
-              addMarkerToMap(point);
-            });
-          });
-
-          // Update calculations and groups list
-          updateCalculations();
-          updateGroupsList();
-          fitMapToMarkers();
-
-          // Set current group to first available
-          const groupKeys = Object.keys(groups);
-          if (groupKeys.length > 0) {
-            currentGroup = groupKeys[0];
-            updateGroupsList();
-          }
-
-          alert(
-            `Successfully imported ${Object.keys(groups).length} groups with ${
-              Object.keys(markers).length
-            } total points!`
-          );
-        } else {
-          alert("Invalid file format. Please select a valid export file.");
-        }
-      } catch (error) {
-        alert("Error reading file. Please make sure it's a valid JSON file.");
-        console.error("Import error:", error);
+// Fill the code filter with the library's codes and the codes in use, each
+// with its number of points
+function updateCodeFilterOptions() {
+  const select = document.getElementById("codeFilter");
+  const counts = new Map(Object.keys(codeLibrary).map((code) => [code, 0]));
+  let uncoded = 0;
+  Object.values(groups).forEach((group) =>
+    group.points.forEach((point) => {
+      if (!point.code) {
+        uncoded++;
+      } else {
+        counts.set(point.code, (counts.get(point.code) || 0) + 1);
       }
-    };
+    })
+  );
+  if (codeFilter && !counts.has(codeFilter)) counts.set(codeFilter, 0);
 
-    reader.readAsText(file);
-  });
+  // Option values are JSON so that "all" (null) and "no code" ("") cannot
+  // clash with a code
+  select.innerHTML = "";
+  const addOption = (value, text) => {
+    const option = document.createElement("option");
+    option.value = JSON.stringify(value);
+    option.textContent = text;
+    select.appendChild(option);
+  };
+  addOption(null, "All codes");
+  addOption("", `No code (${uncoded})`);
+  Array.from(counts.keys())
+    .sort()
+    .forEach((code) => {
+      const style = codeLibrary[code];
+      addOption(
+        code,
+        `${code}${
+          style && style.description ? ` – ${style.description}` : ""
+        } (${counts.get(code)})`
+      );
+    });
+  select.value = JSON.stringify(codeFilter);
 }
 
-// Clear all data without confirmation (for import)
-function clearAllData() {
-  // Clear markers
-  Object.values(markers).forEach((marker) => {
-    map.removeLayer(marker);
-  });
-  markers = {};
+// Offer the library's codes as suggestions in the code inputs
+function updateCodeLibraryOptions() {
+  const list = document.getElementById("codeLibraryCodes");
+  list.innerHTML = "";
+  Object.keys(codeLibrary)
+    .sort()
+    .forEach((code) => {
+      const option = document.createElement("option");
+      option.value = code;
+      option.label = codeLibrary[code].description;
+      list.appendChild(option);
+    });
+}
 
-  // Clear polylines
-  Object.values(polylines).forEach((polyline) => {
-    map.removeLayer(polyline);
+// Open the code library editor
+function openCodeLibraryDialog() {
+  renderCodeLibrary();
+  document.getElementById("codeLibraryDialog").style.display = "flex";
+}
+
+// Close the code library editor
+function closeCodeLibraryDialog() {
+  document.getElementById("codeLibraryDialog").style.display = "none";
+}
+
+// List the library's codes with inputs for their description, symbol and
+// colour
+function renderCodeLibrary() {
+  const table = document.getElementById("codeLibraryTable");
+  table.innerHTML = "";
+  const header = table.createTHead().insertRow();
+  ["", "Code", "Description", "Symbol", "Colour", ""].forEach((heading) => {
+    const th = document.createElement("th");
+    th.textContent = heading;
+    header.appendChild(th);
   });
-  polylines = {};
 
-  // Clear distance labels
-  Object.keys(distanceLabels).forEach((key) => {
-    distanceLabels[key].forEach(label => {
-      map.removeLayer(label);
+  const body = table.createTBody();
+  Object.keys(codeLibrary)
+    .sort()
+    .forEach((code) => {
+      const entry = codeLibrary[code];
+      const row = body.insertRow();
+      const preview = row.insertCell();
+      preview.className = "code-preview";
+      preview.innerHTML = buildSymbolSVG(entry.symbol, entry.color, 18);
+
+      const codeInput = document.createElement("input");
+      codeInput.type = "text";
+      codeInput.value = code;
+      codeInput.addEventListener("change", () => {
+        if (!renameLibraryCode(code, codeInput.value.trim())) {
+          codeInput.value = code;
+        }
+      });
+      row.insertCell().appendChild(codeInput);
+
+      const descriptionInput = document.createElement("input");
+      descriptionInput.type = "text";
+      descriptionInput.value = entry.description;
+      descriptionInput.addEventListener("change", () => {
+        recordHistory("edit code library");
+        entry.description = descriptionInput.value.trim();
+        codeLibraryChanged();
+      });
+      row.insertCell().appendChild(descriptionInput);
+
+      const symbolSelect = document.createElement("select");
+      Object.keys(CODE_SYMBOLS).forEach((symbol) => {
+        const option = document.createElement("option");
+        option.value = symbol;
+        option.textContent = CODE_SYMBOLS[symbol];
+        symbolSelect.appendChild(option);
+      });
+      symbolSelect.value = entry.symbol;
+      symbolSelect.addEventListener("change", () => {
+        recordHistory("edit code library");
+        entry.symbol = symbolSelect.value;
+        codeLibraryChanged();
+      });
+      row.insertCell().appendChild(symbolSelect);
+
+      const colorInput = document.createElement("input");
+      colorInput.type = "color";
+      colorInput.value = entry.color;
+      colorInput.addEventListener("change", () => {
+        recordHistory("edit code library");
+        entry.color = colorInput.value;
+        codeLibraryChanged();
+      });
+      row.insertCell().appendChild(colorInput);
+
+      const removeButton = document.createElement("button");
+      removeButton.textContent = "×";
+      removeButton.title = "Remove code from the library";
+      removeButton.addEventListener("click", () => {
+        if (!confirm(`Remove "${code}" from the code library?`)) return;
+        recordHistory("edit code library");
+        delete codeLibrary[code];
+        codeLibraryChanged();
+      });
+      row.insertCell().appendChild(removeButton);
     });
-  });
-  distanceLabels = {};
+}
 
-  // Clear groups
-  groups = {};
-  currentGroup = null;
+// Add a code to the library
+function addLibraryCode() {
+  const code = (prompt("Enter the new code (e.g. FENCE):") || "").trim();
+  if (!code) return;
+  if (Object.prototype.hasOwnProperty.call(codeLibrary, code)) {
+    alert(`"${code}" is already in the code library`);
+    return;
+  }
+  recordHistory("edit code library");
+  codeLibrary[code] = {
+    description: "",
+    symbol: "circle",
+    color: GROUP_COLORS[Object.keys(codeLibrary).length % GROUP_COLORS.length],
+  };
+  codeLibraryChanged();
+}
 
-  // Clear calculations
-  document.getElementById("distanceResults").innerHTML = "";
+// Give a library code a new name. Points keep their codes, so points with
+// the old code lose its symbol. Returns false when the name is rejected.
+function renameLibraryCode(code, newCode) {
+  if (newCode === code) return true;
+  if (!newCode) {
+    alert("Please enter a code");
+    return false;
+  }
+  if (Object.prototype.hasOwnProperty.call(codeLibrary, newCode)) {
+    alert(`"${newCode}" is already in the code library`);
+    return false;
+  }
+  recordHistory("edit code library");
+  codeLibrary[newCode] = codeLibrary[code];
+  delete codeLibrary[code];
+  codeLibraryChanged();
+  return true;
+}
+
+// Redraw the markers, code lists and editor after the library changed
+function codeLibraryChanged() {
+  rebuildMarkers();
+  updateCodeLibraryOptions();
+  updateGroupsList();
+  renderCodeLibrary();
+  scheduleSave();
 }
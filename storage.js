@@ -0,0 +1,72 @@
+// storage.js
+// Project persistence in the browser's IndexedDB. Each project record holds
+// its own groups: { id, name, groups, currentGroup, createdAt, updatedAt, lastOpened }
+
+const DB_NAME = "coordinateCalculator";
+const DB_VERSION = 1;
+const PROJECT_STORE = "projects";
+
+let dbPromise = null;
+
+// Open the database, creating the project store on first use
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not available in this browser"));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PROJECT_STORE)) {
+          db.createObjectStore(PROJECT_STORE, { keyPath: "id" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Run a request against the project store and resolve with its result once
+// the transaction has completed
+async function runRequest(mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(PROJECT_STORE, mode);
+    const request = makeRequest(transaction.objectStore(PROJECT_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Get all stored projects
+function listProjects() {
+  return runRequest("readonly", (store) => store.getAll());
+}
+
+// Get a single project by id (undefined if it does not exist)
+function loadProject(id) {
+  return runRequest("readonly", (store) => store.get(id));
+}
+
+// Create or replace a project
+function saveProject(project) {
+  return runRequest("readwrite", (store) => store.put(project));
+}
+
+// Delete a project by id
+function deleteProjectRecord(id) {
+  return runRequest("readwrite", (store) => store.delete(id));
+}
+
+// Export functions for use in main script
+window.projectStore = {
+  listProjects,
+  loadProject,
+  saveProject,
+  deleteProjectRecord,
+};
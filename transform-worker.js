@@ -0,0 +1,27 @@
+// transform-worker.js
+// Web Worker running batch coordinate transformations off the page's main
+// thread. Receives { id, from, to, coords } (see coordSys.transformBatch),
+// posts { id, done, total } after each chunk and finally { id, result } or
+// { id, error }.
+
+importScripts("coordsys.js");
+
+self.onmessage = async (e) => {
+  const { id, from, to, coords } = e.data;
+  try {
+    const result = await self.coordSys.transformBatchInChunks(
+      from,
+      to,
+      coords,
+      (done, total) => self.postMessage({ id, done, total })
+    );
+
+    // Hand the result buffers over rather than copying them
+    self.postMessage(
+      { id, result },
+      Object.values(result).map((values) => values.buffer)
+    );
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};